@@ -0,0 +1,133 @@
+const fs = require("fs");
+const path = require("path");
+const { FOLDER_MIME_TYPE, createRelativePathResolver } = require("../shared/driveTraversal");
+
+// Where the Drive changes start page token is persisted between polls
+const POLL_STATE_FILE =
+  process.env.POLL_STATE_FILE || path.join(__dirname, "poll_state.json");
+// Optional shared drive ID; required by the Changes API for shared drive folders
+const DRIVE_ID = process.env.DRIVE_ID || undefined;
+
+/**
+ * Load the persisted start page token, or null if there is none
+ */
+function loadStartPageToken() {
+  try {
+    if (!fs.existsSync(POLL_STATE_FILE)) return null;
+    const state = JSON.parse(fs.readFileSync(POLL_STATE_FILE, "utf8"));
+    return state.startPageToken || null;
+  } catch (error) {
+    console.warn(`Could not read poll state from ${POLL_STATE_FILE}:`, error.message);
+    return null;
+  }
+}
+
+/**
+ * Persist the start page token for the next poll
+ */
+function saveStartPageToken(startPageToken) {
+  const state = { startPageToken, updatedAt: new Date().toISOString() };
+  fs.writeFileSync(POLL_STATE_FILE, JSON.stringify(state, null, 2));
+  console.log(`Saved start page token ${startPageToken}`);
+}
+
+/**
+ * Fetch the current start page token from Drive
+ */
+async function getStartPageToken(drive) {
+  const res = await drive.changes.getStartPageToken({
+    supportsAllDrives: true,
+    driveId: DRIVE_ID
+  });
+  return res.data.startPageToken;
+}
+
+/**
+ * Drive rejects expired or unknown page tokens with 400/404/410 and an error
+ * about the pageToken parameter; other 4xx (bad folder ID, permissions,
+ * malformed request) must surface instead of triggering a full rescan
+ */
+function isInvalidPageTokenError(error) {
+  const code = Number(error?.code ?? error?.response?.status);
+  if (code !== 400 && code !== 404 && code !== 410) return false;
+
+  const details = error?.errors || error?.response?.data?.error?.errors || [];
+  if (details.some(d => d?.location === "pageToken" || /pagetoken/i.test(d?.reason || ""))) return true;
+  const message = error?.response?.data?.error?.message || error?.message || "";
+  return /page ?token/i.test(message);
+}
+
+/**
+ * Walk the change log since startPageToken and hand every page of
+ * added/modified files under folderId to pageProcessor. With recursive
+ * traversal, files in subfolders are included and get a relativePath.
+ * Moving a whole folder into the tree does not report its files as
+ * changed; run a full scan for that.
+ * @returns {Promise<{totalFiles: number, pageCount: number, newStartPageToken: string}>}
+ */
+async function processChangesPageByPage(
+  drive,
+  folderId,
+  startPageToken,
+  pageProcessor,
+  traversalOptions = {}
+) {
+  const resolveRelativePath = createRelativePathResolver(drive, folderId, traversalOptions);
+  let pageToken = startPageToken;
+  let newStartPageToken = null;
+  let pageCount = 0;
+  let totalFiles = 0;
+  const seen = new Set();
+
+  while (pageToken) {
+    pageCount++;
+    console.log(`Fetching page ${pageCount} of changes...`);
+
+    const res = await drive.changes.list({
+      pageToken,
+      pageSize: 1000,
+      fields:
+        "nextPageToken, newStartPageToken, changes(fileId, removed, file(id, name, mimeType, size, parents, trashed, modifiedTime, md5Checksum))",
+      supportsAllDrives: true,
+      includeItemsFromAllDrives: true,
+      driveId: DRIVE_ID
+    });
+
+    const changes = res.data.changes || [];
+    const pageFiles = [];
+    for (const change of changes) {
+      const file = change.file;
+      if (change.removed || !file || file.trashed) continue;
+      if (file.mimeType === FOLDER_MIME_TYPE || seen.has(file.id)) continue;
+
+      const relativePath = await resolveRelativePath(file);
+      if (relativePath === null) continue;
+
+      seen.add(file.id);
+      pageFiles.push({ ...file, relativePath });
+    }
+
+    console.log(
+      `Changes page ${pageCount}: ${changes.length} changes, ${pageFiles.length} relevant files`
+    );
+
+    if (pageFiles.length > 0) {
+      totalFiles += pageFiles.length;
+      await pageProcessor(pageFiles, pageCount);
+    }
+
+    pageToken = res.data.nextPageToken || null;
+    if (res.data.newStartPageToken) newStartPageToken = res.data.newStartPageToken;
+  }
+
+  console.log(`Total changed files processed across ${pageCount} pages: ${totalFiles}`);
+  return { totalFiles, pageCount, newStartPageToken };
+}
+
+module.exports = {
+  loadStartPageToken,
+  saveStartPageToken,
+  getStartPageToken,
+  isInvalidPageTokenError,
+  processChangesPageByPage
+};
@@ -0,0 +1,168 @@
+const crypto = require("crypto");
+const { getStartPageToken } = require("./driveChanges");
+
+const DRIVE_ID = process.env.DRIVE_ID || undefined;
+
+// Resource states sent by changes.watch / files.watch; "sync" only confirms the channel
+const SYNC_STATE = "sync";
+const CHANGE_STATES = new Set(["change", "add", "update", "remove", "trash", "untrash"]);
+
+/**
+ * Keeps a Drive changes.watch push channel registered against the webhook
+ * address, renews it before it expires and turns valid notifications into
+ * (debounced) onChange calls.
+ */
+class DriveChangeWatcher {
+  constructor(getDrive, { address, token, ttlMs, renewBeforeMs, debounceMs, onChange }) {
+    this.getDrive = getDrive;
+    this.address = address;
+    this.token = token || crypto.randomBytes(24).toString("hex");
+    this.ttlMs = ttlMs;
+    this.renewBeforeMs = renewBeforeMs;
+    this.debounceMs = debounceMs;
+    this.onChange = onChange;
+
+    this.channel = null;
+    // The previous channel keeps delivering until it is stopped after a renewal
+    this.previousChannel = null;
+    this.renewTimer = null;
+    this.debounceTimer = null;
+    this.stats = { notificationsReceived: 0, notificationsRejected: 0, pollsTriggered: 0 };
+  }
+
+  async start() {
+    try {
+      await this.registerChannel();
+    } catch (error) {
+      // Interval polling keeps running meanwhile
+      console.error("Failed to register Drive push channel, retrying in 5 minutes:", error.message);
+      this.scheduleRenewal(5 * 60 * 1000);
+    }
+  }
+
+  async registerChannel() {
+    const drive = await this.getDrive();
+    const pageToken = await getStartPageToken(drive);
+    const res = await drive.changes.watch({
+      pageToken,
+      supportsAllDrives: true,
+      includeItemsFromAllDrives: true,
+      driveId: DRIVE_ID,
+      requestBody: {
+        id: crypto.randomUUID(),
+        type: "web_hook",
+        address: this.address,
+        token: this.token,
+        expiration: String(Date.now() + this.ttlMs)
+      }
+    });
+
+    this.previousChannel = this.channel;
+    this.channel = {
+      id: res.data.id,
+      resourceId: res.data.resourceId,
+      expiration: Number(res.data.expiration) || Date.now() + this.ttlMs
+    };
+    console.log(
+      `Registered Drive push channel ${this.channel.id}, expires ${new Date(this.channel.expiration).toISOString()}`
+    );
+
+    if (this.previousChannel) {
+      await this.stopChannel(this.previousChannel);
+      this.previousChannel = null;
+    }
+    this.scheduleRenewal();
+  }
+
+  scheduleRenewal(delay = Math.max(this.channel.expiration - Date.now() - this.renewBeforeMs, 60 * 1000)) {
+    clearTimeout(this.renewTimer);
+    this.renewTimer = setTimeout(async () => {
+      try {
+        await this.registerChannel();
+      } catch (error) {
+        console.error("Failed to renew Drive push channel, retrying in 5 minutes:", error.message);
+        this.scheduleRenewal(5 * 60 * 1000);
+      }
+    }, delay);
+  }
+
+  async stopChannel(channel) {
+    try {
+      const drive = await this.getDrive();
+      await drive.channels.stop({
+        requestBody: { id: channel.id, resourceId: channel.resourceId }
+      });
+      console.log(`Stopped Drive push channel ${channel.id}`);
+    } catch (error) {
+      // The channel expires on its own; nothing else to do
+      console.warn(`Could not stop Drive push channel ${channel.id}:`, error.message);
+    }
+  }
+
+  async stop() {
+    clearTimeout(this.renewTimer);
+    clearTimeout(this.debounceTimer);
+    if (this.channel) await this.stopChannel(this.channel);
+    this.channel = null;
+  }
+
+  isKnownChannel(channelId) {
+    return [this.channel, this.previousChannel].some((c) => c && c.id === channelId);
+  }
+
+  /**
+   * Validate a webhook request's X-Goog-* headers.
+   * @returns {{status: number, message: string}} - HTTP response to send back
+   */
+  handleNotification(headers) {
+    this.stats.notificationsReceived++;
+    const channelId = headers["x-goog-channel-id"];
+    const channelToken = headers["x-goog-channel-token"];
+    const resourceState = headers["x-goog-resource-state"];
+
+    if (!channelId || !this.isKnownChannel(channelId)) {
+      this.stats.notificationsRejected++;
+      return { status: 404, message: "Unknown channel" };
+    }
+    if (channelToken !== this.token) {
+      this.stats.notificationsRejected++;
+      console.warn(`Rejected Drive notification with bad token on channel ${channelId}`);
+      return { status: 403, message: "Invalid channel token" };
+    }
+    if (resourceState === SYNC_STATE) {
+      return { status: 200, message: "Channel sync acknowledged" };
+    }
+    if (!CHANGE_STATES.has(resourceState)) {
+      this.stats.notificationsRejected++;
+      return { status: 400, message: `Unsupported resource state: ${resourceState}` };
+    }
+
+    this.triggerChange();
+    return { status: 200, message: "Change notification accepted" };
+  }
+
+  // Drive sends notifications in bursts; collapse them into one poll
+  triggerChange() {
+    if (this.debounceTimer) return;
+    this.debounceTimer = setTimeout(() => {
+      this.debounceTimer = null;
+      this.stats.pollsTriggered++;
+      Promise.resolve(this.onChange()).catch((error) =>
+        console.error("Notification-triggered poll failed:", error)
+      );
+    }, this.debounceMs);
+  }
+
+  getStatus() {
+    return {
+      address: this.address,
+      channel: this.channel && {
+        id: this.channel.id,
+        expiresAt: new Date(this.channel.expiration).toISOString()
+      },
+      ...this.stats
+    };
+  }
+}
+
+module.exports = { DriveChangeWatcher };
@@ -1,95 +1,140 @@
 require("dotenv").config();
+const crypto = require("crypto");
 const { google } = require("googleapis");
 const { PubSub } = require("@google-cloud/pubsub");
+const {
+  loadStartPageToken,
+  saveStartPageToken,
+  getStartPageToken,
+  isInvalidPageTokenError,
+  processChangesPageByPage
+} = require("./driveChanges");
+const { createPublishLedger } = require("./publishLedger");
+const { DriveChangeWatcher } = require("./driveWatch");
+const { PollJobManager } = require("./pollJobs");
+const { getTraversalOptions, traverseFolder } = require("../shared/driveTraversal");
+const { buildFileMessage, encodeFileMessage } = require("../shared/messageSchema");
+const { createTransport } = require("../shared/transport");
 const credentials = require('./service-account.json'); // Path to your service account key
 
 
 const GOOGLE_DRIVE_FOLDER_ID = process.env.GOOGLE_DRIVE_FOLDER_ID;
 const PUBSUB_TOPIC_NAME = process.env.PUBSUB_TOPIC_NAME;
 const PROJECT_ID = process.env.PROJECT_ID;
+// Optional message field used as Pub/Sub ordering key (e.g. fileId or sourceFolderId)
+const PUBSUB_ORDERING_KEY = process.env.PUBSUB_ORDERING_KEY || null;
+
+// Drive push notifications are enabled when a public HTTPS webhook URL is configured
+const DRIVE_WEBHOOK_URL = process.env.DRIVE_WEBHOOK_URL;
+const DRIVE_WEBHOOK_TOKEN = process.env.DRIVE_WEBHOOK_TOKEN;
+const DRIVE_CHANNEL_TTL_MS = parseInt(process.env.DRIVE_CHANNEL_TTL_MS) || 24 * 60 * 60 * 1000;
+const DRIVE_CHANNEL_RENEW_BEFORE_MS =
+  parseInt(process.env.DRIVE_CHANNEL_RENEW_BEFORE_MS) || 60 * 60 * 1000;
+const DRIVE_WEBHOOK_DEBOUNCE_MS = parseInt(process.env.DRIVE_WEBHOOK_DEBOUNCE_MS) || 5000;
+// RECURSIVE_TRAVERSAL, MAX_FOLDER_DEPTH, FOLDER_INCLUDE_PATTERNS, FOLDER_EXCLUDE_PATTERNS
+const traversalOptions = getTraversalOptions();
 
 // GOOGLE_APPLICATION_CREDENTIALS should point to the service account JSON file
 // e.g. ./service-account.json (dotenv already set)
 
 async function processFilesPageByPage(drive, folderId, pageProcessor) {
-  let pageToken = null;
   let pageCount = 0;
-  let totalFiles = 0;
-
-  do {
-    pageCount++;
-    console.log(`Fetching page ${pageCount} of files...`);
-
-    try {
-      const res = await drive.files.list({
-        q: `'${folderId}' in parents and trashed=false`,
-        pageSize: 1000,
-        fields: "nextPageToken, files(id, name, mimeType, parents)",
-        pageToken,
-        supportsAllDrives: true,
-        includeItemsFromAllDrives: true
-      });
 
-      const pageFiles = res.data.files || [];
-      console.log(`Page ${pageCount}: Found ${pageFiles.length} files`);
-      
-      totalFiles += pageFiles.length;
-      pageToken = res.data.nextPageToken || null;
-
-      if (pageFiles.length > 0) {
+  try {
+    const result = await traverseFolder(
+      drive,
+      folderId,
+      async (pageFiles, pageNumber, folder) => {
+        pageCount = pageNumber;
         console.log(
-          `Sample files from page ${pageCount}:`,
-          pageFiles.slice(0, 3).map((f) => f.name)
+          `Page ${pageNumber}: Found ${pageFiles.length} files in ${folder.path || "root folder"}`
         );
-        
+        console.log(
+          `Sample files from page ${pageNumber}:`,
+          pageFiles.slice(0, 3).map((f) => f.relativePath)
+        );
+
         // Process this page of files immediately
-        await pageProcessor(pageFiles, pageCount);
+        await pageProcessor(pageFiles, pageNumber);
+      },
+      {
+        ...traversalOptions,
+        fields: "id, name, mimeType, size, parents, modifiedTime, md5Checksum"
       }
-    } catch (listError) {
+    );
+
+    console.log(`Total files processed across ${result.pageCount} pages: ${result.totalFiles}`);
+    return result;
+  } catch (listError) {
+    console.error(`Error listing files after page ${pageCount}:`, listError.message);
+    if (listError.code === 403) {
       console.error(
-        `Error listing files on page ${pageCount}:`,
-        listError.message
+        `Permission denied. Service account may not have access to folder contents.`
       );
-      if (listError.code === 403) {
-        console.error(
-          `Permission denied. Service account may not have access to folder contents.`
-        );
-      }
-      throw listError;
     }
-  } while (pageToken);
-
-  console.log(`Total files processed across ${pageCount} pages: ${totalFiles}`);
-  return totalFiles;
+    throw listError;
+  }
 }
 
 const express = require("express");
 const app = express();
 const PORT = process.env.PORT || 8080;
 
-async function pollAndPublish() {
+const pollJobs = new PollJobManager();
+
+// MESSAGE_TRANSPORT=pubsub (default), file (local queue directory) or memory;
+// ordering keys need message ordering enabled on the Pub/Sub publisher
+const transport = createTransport(process.env.MESSAGE_TRANSPORT, {
+  createPubSubClient: () => new PubSub({ projectId: PROJECT_ID }),
+  topicName: PUBSUB_TOPIC_NAME,
+  messageOrdering: Boolean(PUBSUB_ORDERING_KEY)
+});
+console.log(`Using ${transport.type} message transport`);
+
+// Durable record of what has been published, so unchanged files are never republished
+const ledger = createPublishLedger();
+
+function createDriveClient() {
   // Drive auth via ADC with domain-wide delegation
   const auth = new google.auth.GoogleAuth({
     scopes: ["https://www.googleapis.com/auth/drive"],
     credentials
     // subject: process.env.IMPERSONATE_USER_EMAIL, // User to impersonate
   });
-  const drive = google.drive({ version: "v3", auth });
+  return google.drive({ version: "v3", auth });
+}
+
+/**
+ * Publish new and changed files. `job` collects progress counters
+ * (see PollJobManager); errors are thrown so the job is marked failed.
+ */
+async function pollAndPublish(job, { fullScan = false } = {}) {
+  const drive = createDriveClient();
 
-  // Pub/Sub client
-  const pubsub = new PubSub({ projectId: PROJECT_ID });
-  const topic = pubsub.topic(PUBSUB_TOPIC_NAME);
+  // Every message published in this run carries the same poll run ID
+  const pollRunId = crypto.randomUUID();
+  console.log(`Starting poll run ${pollRunId}`);
 
-  // Publish function with retry logic
+  // Publish function with schema validation and retry logic.
+  // Returns false if the file could not be turned into a valid message.
   const publishOne = async (file) => {
-    const data = Buffer.from(
-      JSON.stringify({ fileId: file.id, fileName: file.name })
-    );
+    let encoded;
+    try {
+      const message = buildFileMessage(file, {
+        sourceFolderId: GOOGLE_DRIVE_FOLDER_ID,
+        pollRunId
+      });
+      encoded = encodeFileMessage(message, PUBSUB_ORDERING_KEY);
+    } catch (validationError) {
+      console.error(`Skipping ${file.name} (${file.id}):`, validationError.message);
+      return false;
+    }
+
     for (let attempt = 1; attempt <= 3; attempt++) {
       try {
-        await topic.publishMessage({ data });
-        console.log(`Published: ${file.name} (${file.id})`);
-        return;
+        await transport.publish(encoded);
+        console.log(`Published: ${file.name} (${file.id}) trace ${encoded.attributes.traceId}`);
+        return true;
       } catch (e) {
         if (attempt === 3) throw e;
         const delay = 500 * attempt;
@@ -99,53 +144,215 @@ async function pollAndPublish() {
     }
   };
 
-  // Page processor function - publishes all files in a page before moving to next
+  // Page processor function - publishes all new or changed files in a page before moving to next
   const processPage = async (pageFiles, pageNumber) => {
-    console.log(`Publishing ${pageFiles.length} files from page ${pageNumber}...`);
-    
-    // Publish all files in this page in parallel
-    await Promise.all(pageFiles.map(publishOne));
-    
+    const filesToPublish = pageFiles.filter((file) => ledger.shouldPublish(file));
+    const skipped = pageFiles.length - filesToPublish.length;
+    job.filesSeen += pageFiles.length;
+    job.filesSkipped += skipped;
+    console.log(
+      `Publishing ${filesToPublish.length} files from page ${pageNumber} (${skipped} unchanged, skipped)...`
+    );
+
+    // Publish all files in this page in parallel, recording each one as it succeeds
+    const results = await Promise.allSettled(
+      filesToPublish.map(async (file) => {
+        if (!(await publishOne(file))) {
+          job.failures++;
+          return;
+        }
+        ledger.recordPublished(file);
+        job.filesPublished++;
+      })
+    );
+    await ledger.flush();
+
+    const failed = results.filter((r) => r.status === "rejected");
+    if (failed.length > 0) {
+      job.failures += failed.length;
+      // Stop here so the start page token is not advanced past unpublished files
+      throw new Error(
+        `${failed.length} files failed to publish on page ${pageNumber}: ${failed[0].reason?.message}`
+      );
+    }
+
     console.log(`Completed publishing page ${pageNumber}`);
   };
 
   try {
-    const totalFiles = await processFilesPageByPage(drive, GOOGLE_DRIVE_FOLDER_ID, processPage);
-    
+    const savedToken = fullScan ? null : loadStartPageToken();
+
+    if (savedToken) {
+      try {
+        job.mode = "incremental";
+        const { totalFiles, pageCount, newStartPageToken } = await processChangesPageByPage(
+          drive,
+          GOOGLE_DRIVE_FOLDER_ID,
+          savedToken,
+          processPage,
+          traversalOptions
+        );
+        job.pagesFetched = pageCount;
+        if (newStartPageToken) saveStartPageToken(newStartPageToken);
+        console.log(`Finished publishing ${totalFiles} changed file keys to ${transport.type}.`);
+        return;
+      } catch (changesError) {
+        if (!isInvalidPageTokenError(changesError)) throw changesError;
+        console.warn(
+          `Start page token ${savedToken} expired or invalid, falling back to full listing:`,
+          changesError.message
+        );
+      }
+    } else {
+      console.log("No start page token saved, running full listing...");
+    }
+
+    // Take the token before listing so changes made during the listing are picked up next poll
+    job.mode = "full";
+    const startPageToken = await getStartPageToken(drive);
+    const { totalFiles, pageCount } = await processFilesPageByPage(
+      drive,
+      GOOGLE_DRIVE_FOLDER_ID,
+      processPage
+    );
+    job.pagesFetched = pageCount;
+    saveStartPageToken(startPageToken);
+
     if (totalFiles === 0) {
       console.log("No files found in the specified folder.");
       return;
     }
 
-    console.log(`Finished publishing ${totalFiles} file keys to Pub/Sub.`);
+    console.log(`Finished publishing ${totalFiles} file keys to ${transport.type}.`);
   } catch (error) {
     console.error("Error:", error);
+    throw error;
   }
 }
 
+// Only one poll runs at a time; every trigger goes through here
+function startPoll(trigger, { fullScan = false, queueIfRunning = false } = {}) {
+  const { started, job } = pollJobs.start(trigger, (pollJob) => pollAndPublish(pollJob, { fullScan }), {
+    fullScan,
+    queueIfRunning
+  });
+  if (!started) {
+    console.log(`Poll (${trigger}) not started: job ${job.id} is still running`);
+  }
+  return { started, job };
+}
+
 // Health check endpoint
 app.get("/health", (req, res) => {
   res.status(200).send("OK");
 });
 
-// Manual trigger endpoint
-app.post("/poll", async (req, res) => {
+// Publish ledger inspection
+app.get("/ledger", (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+  const offset = parseInt(req.query.offset) || 0;
+  res.json({
+    backend: ledger.type,
+    total: ledger.size(),
+    limit,
+    offset,
+    entries: ledger.list({ limit, offset })
+  });
+});
+
+app.get("/ledger/:fileId", (req, res) => {
+  const entry = ledger.get(req.params.fileId);
+  if (!entry) return res.status(404).json({ error: "File not found in publish ledger" });
+  res.json(entry);
+});
+
+// Reset the whole ledger; follow with POST /poll?full=true to republish everything
+app.delete("/ledger", async (req, res) => {
   try {
-    await pollAndPublish();
-    res.status(200).send("Polling completed");
+    const removed = ledger.reset();
+    await ledger.flush();
+    console.log(`Publish ledger reset (${removed} entries removed)`);
+    res.json({ removed });
   } catch (error) {
-    console.error("Polling error:", error);
-    res.status(500).send("Polling failed");
+    console.error("Ledger reset error:", error);
+    res.status(500).json({ error: error.message });
   }
 });
 
+app.delete("/ledger/:fileId", async (req, res) => {
+  try {
+    const removed = ledger.remove(req.params.fileId);
+    if (!removed) return res.status(404).json({ error: "File not found in publish ledger" });
+    await ledger.flush();
+    res.json({ removed: 1 });
+  } catch (error) {
+    console.error("Ledger remove error:", error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Drive push notification channel, renewed automatically; the interval poll remains as a safety net
+const watcher = DRIVE_WEBHOOK_URL
+  ? new DriveChangeWatcher(createDriveClient, {
+      address: DRIVE_WEBHOOK_URL,
+      token: DRIVE_WEBHOOK_TOKEN,
+      ttlMs: DRIVE_CHANNEL_TTL_MS,
+      renewBeforeMs: DRIVE_CHANNEL_RENEW_BEFORE_MS,
+      debounceMs: DRIVE_WEBHOOK_DEBOUNCE_MS,
+      // A notification during a running poll queues one follow-up poll
+      onChange: () => startPoll("notification", { queueIfRunning: true })
+    })
+  : null;
+
+// Webhook for Drive push notifications (the body is empty, everything is in X-Goog-* headers)
+app.post("/drive/notifications", (req, res) => {
+  if (!watcher) return res.status(404).send("Push notifications are not enabled");
+  const { status, message } = watcher.handleNotification(req.headers);
+  if (status !== 200) console.warn(`Drive notification rejected (${status}): ${message}`);
+  res.status(status).send(message);
+});
+
+app.get("/drive/watch", (req, res) => {
+  if (!watcher) return res.json({ enabled: false });
+  res.json({ enabled: true, ...watcher.getStatus() });
+});
+
+// Manual trigger endpoint (?full=true forces a full folder listing).
+// Returns immediately with a job ID; poll GET /poll/:jobId for progress.
+app.post("/poll", (req, res) => {
+  const { started, job } = startPoll("manual", { fullScan: req.query.full === "true" });
+  if (!started) {
+    return res.status(409).json({ error: "Poll already running", jobId: job.id, job });
+  }
+  res.status(202).json({ jobId: job.id, job });
+});
+
+// Recent poll jobs, most recent first
+app.get("/poll", (req, res) => {
+  res.json({ activeJobId: pollJobs.activeJob?.id ?? null, jobs: pollJobs.list() });
+});
+
+app.get("/poll/:jobId", (req, res) => {
+  const job = pollJobs.get(req.params.jobId);
+  if (!job) return res.status(404).json({ error: "Poll job not found" });
+  res.json(job);
+});
+
 // Start the server
 app.listen(PORT, () => {
   console.log(`Poller service listening on port ${PORT}`);
 
   // Run initial poll
-  pollAndPublish();
+  startPoll("startup");
+
+  // Set up periodic polling (every 5 minutes); skipped while a poll is still running
+  setInterval(() => startPoll("interval"), 5 * 60 * 1000);
+
+  if (watcher) watcher.start();
+});
 
-  // Set up periodic polling (every 5 minutes)
-  setInterval(pollAndPublish, 5 * 60 * 1000);
+// Stop the push channel on shutdown so Drive stops calling a dead webhook
+process.on("SIGTERM", async () => {
+  if (watcher) await watcher.stop();
+  process.exit(0);
 });
@@ -0,0 +1,101 @@
+const crypto = require("crypto");
+
+const POLL_JOB_HISTORY_SIZE = parseInt(process.env.POLL_JOB_HISTORY_SIZE) || 50;
+
+/**
+ * Runs poll jobs one at a time and keeps a short in-memory history.
+ * A job's run function receives the job object and updates its counters.
+ */
+class PollJobManager {
+  constructor(historySize = POLL_JOB_HISTORY_SIZE) {
+    this.historySize = historySize;
+    this.jobs = new Map();
+    this.activeJob = null;
+    // One follow-up run requested while a job was active (e.g. a push notification)
+    this.pendingRun = null;
+  }
+
+  /**
+   * Start a job unless one is already running.
+   * @param {string} trigger - What started the job (manual, interval, notification, startup)
+   * @param {Function} run - async (job) => void
+   * @param {object} options - { fullScan, queueIfRunning }
+   * @returns {{started: boolean, job: object}} - The new job, or the active one if not started
+   */
+  start(trigger, run, { fullScan = false, queueIfRunning = false } = {}) {
+    if (this.activeJob) {
+      if (queueIfRunning) this.pendingRun = { trigger, run, fullScan };
+      return { started: false, job: this.activeJob };
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      trigger,
+      fullScan,
+      mode: null,
+      status: "running",
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      pagesFetched: 0,
+      filesSeen: 0,
+      filesPublished: 0,
+      filesSkipped: 0,
+      failures: 0,
+      error: null
+    };
+    this.activeJob = job;
+    this.remember(job);
+
+    const startTime = Date.now();
+    Promise.resolve()
+      .then(() => run(job))
+      .then(
+        () => {
+          job.status = "succeeded";
+        },
+        (error) => {
+          job.status = "failed";
+          job.error = error?.message ?? String(error);
+          console.error(`Poll job ${job.id} failed:`, job.error);
+        }
+      )
+      .finally(() => {
+        job.finishedAt = new Date().toISOString();
+        job.durationMs = Date.now() - startTime;
+        this.activeJob = null;
+        console.log(
+          `Poll job ${job.id} ${job.status} in ${job.durationMs}ms: ${job.filesPublished} published, ${job.filesSkipped} skipped, ${job.failures} failures`
+        );
+        this.startPending();
+      });
+
+    return { started: true, job };
+  }
+
+  startPending() {
+    if (!this.pendingRun) return;
+    const { trigger, run, fullScan } = this.pendingRun;
+    this.pendingRun = null;
+    this.start(trigger, run, { fullScan });
+  }
+
+  remember(job) {
+    this.jobs.set(job.id, job);
+    while (this.jobs.size > this.historySize) {
+      const oldestId = this.jobs.keys().next().value;
+      this.jobs.delete(oldestId);
+    }
+  }
+
+  get(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  // Most recent first
+  list() {
+    return Array.from(this.jobs.values()).reverse();
+  }
+}
+
+module.exports = { PollJobManager };
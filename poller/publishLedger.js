@@ -0,0 +1,157 @@
+const fs = require("fs");
+const path = require("path");
+
+const PUBLISH_LEDGER_BACKEND = process.env.PUBLISH_LEDGER_BACKEND || "json";
+const PUBLISH_LEDGER_FILE =
+  process.env.PUBLISH_LEDGER_FILE || path.join(__dirname, "publish_ledger.json");
+
+/**
+ * Fingerprint used to decide whether a file changed since it was published.
+ * md5Checksum is only set for binary files, so fall back to modifiedTime.
+ */
+function fileFingerprint(file) {
+  return file.md5Checksum || file.modifiedTime || null;
+}
+
+/**
+ * In-memory ledger. Also the base for the JSON-file backend.
+ */
+class MemoryLedger {
+  constructor() {
+    this.type = "memory";
+    this.entries = new Map();
+  }
+
+  shouldPublish(file) {
+    const entry = this.entries.get(file.id);
+    if (!entry) return true;
+    const fingerprint = fileFingerprint(file);
+    // Without a fingerprint we cannot tell if it changed, so trust the ledger
+    return fingerprint !== null && fingerprint !== entry.fingerprint;
+  }
+
+  recordPublished(file) {
+    const previous = this.entries.get(file.id);
+    this.entries.set(file.id, {
+      fileId: file.id,
+      fileName: file.name,
+      modifiedTime: file.modifiedTime || null,
+      md5Checksum: file.md5Checksum || null,
+      fingerprint: fileFingerprint(file),
+      publishedAt: new Date().toISOString(),
+      publishCount: (previous?.publishCount || 0) + 1
+    });
+  }
+
+  get(fileId) {
+    return this.entries.get(fileId) || null;
+  }
+
+  list({ limit = 100, offset = 0 } = {}) {
+    return Array.from(this.entries.values()).slice(offset, offset + limit);
+  }
+
+  size() {
+    return this.entries.size;
+  }
+
+  remove(fileId) {
+    return this.entries.delete(fileId);
+  }
+
+  reset() {
+    const removed = this.entries.size;
+    this.entries.clear();
+    return removed;
+  }
+
+  async flush() {}
+}
+
+/**
+ * Ledger persisted to a JSON file. Writes are batched: callers record
+ * entries in memory and call flush() once per page.
+ */
+class JsonFileLedger extends MemoryLedger {
+  constructor(filePath) {
+    super();
+    this.type = "json";
+    this.filePath = filePath;
+    this.dirty = false;
+    // Flushes run one at a time (e.g. the ledger route flushing during a poll)
+    this.flushing = Promise.resolve();
+    this.writeCount = 0;
+    this.load();
+  }
+
+  load() {
+    try {
+      if (!fs.existsSync(this.filePath)) return;
+      const saved = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      for (const entry of saved.entries || []) {
+        this.entries.set(entry.fileId, entry);
+      }
+      console.log(`Loaded ${this.entries.size} publish ledger entries from ${this.filePath}`);
+    } catch (error) {
+      console.error(`Could not load publish ledger from ${this.filePath}:`, error.message);
+    }
+  }
+
+  recordPublished(file) {
+    super.recordPublished(file);
+    this.dirty = true;
+  }
+
+  remove(fileId) {
+    const removed = super.remove(fileId);
+    if (removed) this.dirty = true;
+    return removed;
+  }
+
+  reset() {
+    const removed = super.reset();
+    this.dirty = true;
+    return removed;
+  }
+
+  flush() {
+    const run = this.flushing.then(() => this.write());
+    this.flushing = run.catch(() => {});
+    return run;
+  }
+
+  async write() {
+    if (!this.dirty) return;
+    // Entries recorded while writing mark the ledger dirty again for the next flush
+    this.dirty = false;
+    const data = JSON.stringify({ entries: Array.from(this.entries.values()) });
+    // Write to a temp file first so a crash mid-write cannot corrupt the ledger
+    const tempPath = `${this.filePath}.${process.pid}.${++this.writeCount}.tmp`;
+    try {
+      await fs.promises.writeFile(tempPath, data);
+      await fs.promises.rename(tempPath, this.filePath);
+    } catch (error) {
+      this.dirty = true;
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+  }
+}
+
+function createPublishLedger(backend = PUBLISH_LEDGER_BACKEND) {
+  switch (backend) {
+    case "json":
+      return new JsonFileLedger(PUBLISH_LEDGER_FILE);
+    case "memory":
+      return new MemoryLedger();
+    default:
+      throw new Error(`Unknown PUBLISH_LEDGER_BACKEND: ${backend}`);
+  }
+}
+
+module.exports = {
+  MemoryLedger,
+  JsonFileLedger,
+  createPublishLedger,
+  fileFingerprint
+};
@@ -0,0 +1,218 @@
+// driveTraversal.js (CommonJS) - folder listing shared by the poller and subscriber
+
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+const DEFAULT_MAX_DEPTH = 10;
+// Safety cap when walking up parents of a changed file
+const MAX_ANCESTOR_HOPS = 50;
+
+function parsePatterns(value) {
+  if (!value) return [];
+  return value.split(',').map(p => p.trim()).filter(Boolean);
+}
+
+/**
+ * Read traversal settings from the environment
+ * RECURSIVE_TRAVERSAL=true enables descending into subfolders
+ * MAX_FOLDER_DEPTH limits how deep (root = 0)
+ * FOLDER_INCLUDE_PATTERNS / FOLDER_EXCLUDE_PATTERNS are comma-separated globs
+ */
+function getTraversalOptions(env = process.env) {
+  // 0 is a valid depth (root only), so only a missing or unparsable value falls back
+  const maxDepth = parseInt(env.MAX_FOLDER_DEPTH);
+  return {
+    recursive: env.RECURSIVE_TRAVERSAL === 'true',
+    maxDepth: Number.isNaN(maxDepth) || maxDepth < 0 ? DEFAULT_MAX_DEPTH : maxDepth,
+    includePatterns: parsePatterns(env.FOLDER_INCLUDE_PATTERNS),
+    excludePatterns: parsePatterns(env.FOLDER_EXCLUDE_PATTERNS)
+  };
+}
+
+// `**` spans folders, `*` and `?` stay within one folder name. Case-insensitive.
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        source += '(?:.*/)?';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (c === '*') {
+      source += '[^/]*';
+    } else if (c === '?') {
+      source += '[^/]';
+    } else {
+      source += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 'i');
+}
+
+/**
+ * Patterns containing "/" match the folder's path relative to the root,
+ * other patterns match any single folder name along the path.
+ */
+function matchesPattern(folderPath, pattern) {
+  const regex = globToRegExp(pattern);
+  if (pattern.includes('/')) return regex.test(folderPath);
+  return folderPath.split('/').some(segment => regex.test(segment));
+}
+
+// A folder is excluded if it or any of its ancestors matches an exclude pattern
+function isFolderExcluded(folderPath, excludePatterns = []) {
+  if (!folderPath) return false;
+  const segments = folderPath.split('/');
+  return segments.some((_, i) => {
+    const prefix = segments.slice(0, i + 1).join('/');
+    return excludePatterns.some(pattern => matchesPattern(prefix, pattern));
+  });
+}
+
+// Files directly in the root folder are always included
+function isFolderIncluded(folderPath, includePatterns = []) {
+  if (!folderPath || includePatterns.length === 0) return true;
+  return includePatterns.some(pattern => matchesPattern(folderPath, pattern));
+}
+
+function joinPath(folderPath, name) {
+  return folderPath ? `${folderPath}/${name}` : name;
+}
+
+function depthOf(folderPath) {
+  return folderPath ? folderPath.split('/').length : 0;
+}
+
+/**
+ * List files under rootFolderId page by page, optionally descending into
+ * subfolders breadth-first. Every file gets a `relativePath` (folder path
+ * relative to the root plus file name). Folders themselves are never
+ * handed to pageProcessor.
+ * @param {google.drive_v3.Drive} drive - Google Drive client
+ * @param {string} rootFolderId - Folder to list
+ * @param {Function} pageProcessor - async (pageFiles, pageNumber, folder) => void
+ * @param {object} options - traversal options plus `fields` (file fields) and `pageSize`
+ * @returns {Promise<{totalFiles: number, pageCount: number}>} - Files handed to pageProcessor and pages fetched
+ */
+async function traverseFolder(drive, rootFolderId, pageProcessor, options = {}) {
+  const {
+    recursive = false,
+    maxDepth = DEFAULT_MAX_DEPTH,
+    includePatterns = [],
+    excludePatterns = [],
+    fields = 'id, name, mimeType, parents',
+    pageSize = 1000
+  } = options;
+
+  const queue = [{ id: rootFolderId, path: '', depth: 0 }];
+  let pageCount = 0;
+  let totalFiles = 0;
+
+  while (queue.length > 0) {
+    const folder = queue.shift();
+    const collectFiles = isFolderIncluded(folder.path, includePatterns);
+    let pageToken = null;
+
+    do {
+      pageCount++;
+      const res = await drive.files.list({
+        q: `'${folder.id}' in parents and trashed=false`,
+        pageSize,
+        fields: `nextPageToken, files(${fields})`,
+        pageToken,
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true
+      });
+
+      const entries = res.data.files || [];
+      pageToken = res.data.nextPageToken || null;
+
+      const pageFiles = [];
+      for (const entry of entries) {
+        if (entry.mimeType === FOLDER_MIME_TYPE) {
+          if (!recursive) continue;
+          const childPath = joinPath(folder.path, entry.name);
+          if (folder.depth + 1 > maxDepth) {
+            console.log(`Skipping folder beyond max depth ${maxDepth}: ${childPath}`);
+          } else if (isFolderExcluded(childPath, excludePatterns)) {
+            console.log(`Skipping excluded folder: ${childPath}`);
+          } else {
+            queue.push({ id: entry.id, path: childPath, depth: folder.depth + 1 });
+          }
+        } else if (collectFiles) {
+          pageFiles.push({ ...entry, relativePath: joinPath(folder.path, entry.name) });
+        }
+      }
+
+      if (pageFiles.length > 0) {
+        totalFiles += pageFiles.length;
+        await pageProcessor(pageFiles, pageCount, folder);
+      }
+    } while (pageToken);
+  }
+
+  return { totalFiles, pageCount };
+}
+
+/**
+ * Build a resolver that maps a file (with `parents`) to its path relative to
+ * rootFolderId, or null if it is outside the root or filtered out by the
+ * traversal options. Folder lookups are cached for the resolver's lifetime,
+ * so create one per poll.
+ */
+function createRelativePathResolver(drive, rootFolderId, options = {}) {
+  const {
+    recursive = false,
+    maxDepth = DEFAULT_MAX_DEPTH,
+    includePatterns = [],
+    excludePatterns = []
+  } = options;
+  const cache = new Map();
+
+  async function lookupFolderPath(folderId, hops) {
+    try {
+      const res = await drive.files.get({
+        fileId: folderId,
+        fields: 'id, name, parents',
+        supportsAllDrives: true
+      });
+      const parentId = res.data.parents?.[0];
+      if (!parentId) return null;
+      const parentPath = await resolveFolderPath(parentId, hops + 1);
+      return parentPath === null ? null : joinPath(parentPath, res.data.name);
+    } catch (error) {
+      console.warn(`Could not resolve folder ${folderId}:`, error.message);
+      return null;
+    }
+  }
+
+  function resolveFolderPath(folderId, hops = 0) {
+    if (folderId === rootFolderId) return Promise.resolve('');
+    if (!recursive || hops >= MAX_ANCESTOR_HOPS) return Promise.resolve(null);
+    if (!cache.has(folderId)) cache.set(folderId, lookupFolderPath(folderId, hops));
+    return cache.get(folderId);
+  }
+
+  return async function resolveRelativePath(file) {
+    for (const parentId of file.parents || []) {
+      const folderPath = await resolveFolderPath(parentId);
+      if (folderPath === null) continue;
+      if (depthOf(folderPath) > maxDepth) continue;
+      if (isFolderExcluded(folderPath, excludePatterns)) continue;
+      if (!isFolderIncluded(folderPath, includePatterns)) continue;
+      return joinPath(folderPath, file.name);
+    }
+    return null;
+  };
+}
+
+module.exports = {
+  FOLDER_MIME_TYPE,
+  getTraversalOptions,
+  traverseFolder,
+  createRelativePathResolver,
+  isFolderExcluded,
+  isFolderIncluded
+};
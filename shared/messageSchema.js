@@ -0,0 +1,190 @@
+// messageSchema.js (CommonJS) - file message contract between poller and subscriber
+
+const crypto = require('crypto');
+
+const SCHEMA_VERSION = 1;
+const MESSAGE_TYPE = 'drive.file';
+
+class MessageValidationError extends Error {
+  constructor(errors) {
+    super(`Invalid file message: ${errors.join('; ')}`);
+    this.name = 'MessageValidationError';
+    this.errors = errors;
+  }
+}
+
+// W3C trace-context compatible 32 hex character ID
+function generateTraceId() {
+  return crypto.randomBytes(16).toString('hex');
+}
+
+function toSize(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const size = Number(value);
+  return Number.isFinite(size) ? size : value;
+}
+
+/**
+ * Build a message for a Drive file
+ * @param {object} file - Drive file (id, name, mimeType, size, md5Checksum, modifiedTime, relativePath)
+ * @param {object} context - { sourceFolderId, pollRunId, traceId }
+ */
+function buildFileMessage(file, { sourceFolderId, pollRunId, traceId = generateTraceId() }) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    type: MESSAGE_TYPE,
+    fileId: file.id,
+    fileName: file.name,
+    relativePath: file.relativePath || file.name,
+    mimeType: file.mimeType || null,
+    size: toSize(file.size),
+    md5Checksum: file.md5Checksum || null,
+    modifiedTime: file.modifiedTime || null,
+    sourceFolderId,
+    pollRunId,
+    traceId,
+    publishedAt: new Date().toISOString()
+  };
+}
+
+function isNonEmptyString(value) {
+  return typeof value === 'string' && value.length > 0;
+}
+
+function isOptionalString(value) {
+  return value === null || typeof value === 'string';
+}
+
+function isOptionalDate(value) {
+  return value === null || (typeof value === 'string' && !Number.isNaN(Date.parse(value)));
+}
+
+/**
+ * Validate a decoded message. Throws MessageValidationError listing every problem.
+ * @returns {object} - The same message
+ */
+function validateFileMessage(message) {
+  const errors = [];
+  if (!message || typeof message !== 'object') {
+    throw new MessageValidationError(['message must be an object']);
+  }
+
+  if (message.schemaVersion !== SCHEMA_VERSION) {
+    errors.push(`schemaVersion must be ${SCHEMA_VERSION}, got ${message.schemaVersion}`);
+  }
+  if (message.type !== MESSAGE_TYPE) errors.push(`type must be "${MESSAGE_TYPE}"`);
+  if (!isNonEmptyString(message.fileId)) errors.push('fileId is required');
+  if (!isNonEmptyString(message.fileName)) errors.push('fileName is required');
+  if (!isNonEmptyString(message.relativePath)) errors.push('relativePath is required');
+  if (!isOptionalString(message.mimeType)) errors.push('mimeType must be a string or null');
+  if (message.size !== null && !(Number.isInteger(message.size) && message.size >= 0)) {
+    errors.push('size must be a non-negative integer or null');
+  }
+  if (message.md5Checksum !== null && !/^[a-f0-9]{32}$/i.test(String(message.md5Checksum))) {
+    errors.push('md5Checksum must be a 32 character hex string or null');
+  }
+  if (!isOptionalDate(message.modifiedTime)) errors.push('modifiedTime must be an ISO date or null');
+  if (!isNonEmptyString(message.sourceFolderId)) errors.push('sourceFolderId is required');
+  if (!isNonEmptyString(message.pollRunId)) errors.push('pollRunId is required');
+  if (!isNonEmptyString(message.traceId)) errors.push('traceId is required');
+  if (!isOptionalDate(message.publishedAt ?? null)) errors.push('publishedAt must be an ISO date');
+
+  if (errors.length > 0) throw new MessageValidationError(errors);
+  return message;
+}
+
+/**
+ * Serialize a message for publishing. Routing-relevant fields are copied
+ * into attributes (string values only) so subscriptions can filter on them.
+ * @param {object} message - A valid file message
+ * @param {string} orderingKeyField - Optional message field to use as ordering key
+ * @returns {{data: Buffer, attributes: object, orderingKey?: string}}
+ */
+function encodeFileMessage(message, orderingKeyField = null) {
+  validateFileMessage(message);
+
+  const attributes = {
+    schemaVersion: String(message.schemaVersion),
+    type: message.type,
+    fileId: message.fileId,
+    sourceFolderId: message.sourceFolderId,
+    pollRunId: message.pollRunId,
+    traceId: message.traceId
+  };
+  if (message.mimeType) attributes.mimeType = message.mimeType;
+
+  const encoded = { data: Buffer.from(JSON.stringify(message)), attributes };
+  if (orderingKeyField && message[orderingKeyField]) {
+    encoded.orderingKey = String(message[orderingKeyField]);
+  }
+  return encoded;
+}
+
+// Messages published before the schema existed only had fileId and fileName
+function upgradeLegacyMessage(payload, attributes) {
+  return {
+    schemaVersion: SCHEMA_VERSION,
+    type: MESSAGE_TYPE,
+    fileId: payload.fileId,
+    fileName: payload.fileName,
+    relativePath: payload.relativePath || payload.fileName,
+    mimeType: null,
+    size: null,
+    md5Checksum: null,
+    modifiedTime: null,
+    sourceFolderId: attributes.sourceFolderId || 'unknown',
+    pollRunId: attributes.pollRunId || 'legacy',
+    traceId: attributes.traceId || generateTraceId(),
+    publishedAt: null
+  };
+}
+
+/**
+ * Decode and validate a message on the consumer side. Accepts a Pub/Sub
+ * client message (data Buffer), a push request body ({ message: { data: base64 } })
+ * or an already parsed message object.
+ * @returns {object} - Validated file message
+ */
+function decodeFileMessage(input) {
+  let data = input;
+  let attributes = {};
+
+  if (input?.message && typeof input.message === 'object') {
+    // Pub/Sub push envelope
+    attributes = input.message.attributes || {};
+    data = Buffer.from(input.message.data || '', 'base64');
+  } else if (input?.data !== undefined && !input.fileId) {
+    attributes = input.attributes || {};
+    data = input.data;
+  }
+
+  let payload;
+  try {
+    payload = Buffer.isBuffer(data) || typeof data === 'string'
+      ? JSON.parse(data.toString('utf8'))
+      : data;
+  } catch (error) {
+    throw new MessageValidationError([`data is not valid JSON: ${error.message}`]);
+  }
+
+  if (payload && payload.schemaVersion === undefined && payload.fileId) {
+    payload = upgradeLegacyMessage(payload, attributes);
+  }
+
+  validateFileMessage(payload);
+  if (attributes.schemaVersion && attributes.schemaVersion !== String(payload.schemaVersion)) {
+    throw new MessageValidationError(['schemaVersion attribute does not match message body']);
+  }
+  return payload;
+}
+
+module.exports = {
+  SCHEMA_VERSION,
+  MESSAGE_TYPE,
+  MessageValidationError,
+  generateTraceId,
+  buildFileMessage,
+  validateFileMessage,
+  encodeFileMessage,
+  decodeFileMessage
+};
@@ -0,0 +1,367 @@
+// transport.js (CommonJS) - message transport used between poller and subscriber
+//
+// Every transport exposes the same surface:
+//   publish({ data, attributes, orderingKey }) -> Promise<messageId>
+//   subscribe(handler, { maxMessages }) -> Promise<close function>
+//     handler receives { id, data, attributes, deliveryAttempt, ack(), nack({ delayMs }) }
+//     and may return a promise; a handler that throws or rejects nacks the message
+//   close() -> Promise<void>
+// Select one with MESSAGE_TRANSPORT=pubsub|file|memory.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_QUEUE_DIR = path.join(__dirname, '..', 'local-queue');
+// A delayed Pub/Sub nack holds the message (and its flow-control slot) until
+// then, so longer delays are left to the subscription's retry policy
+const MAX_PUBSUB_NACK_DELAY_MS = 10 * 60 * 1000;
+
+// Run a subscription handler, nacking the message if it throws or rejects
+function deliver(handler, message) {
+  return Promise.resolve()
+    .then(() => handler(message))
+    .catch((error) => {
+      console.error(`❌ Handler failed for message ${message.id}:`, error.message);
+      message.nack();
+    });
+}
+
+/**
+ * Google Cloud Pub/Sub. The client is passed in so this module stays
+ * dependency-free; each service brings its own @google-cloud/pubsub.
+ */
+class PubSubTransport {
+  constructor(pubsub, { topicName, subscriptionName, messageOrdering = false }) {
+    this.type = 'pubsub';
+    this.pubsub = pubsub;
+    this.topicName = topicName;
+    this.subscriptionName = subscriptionName;
+    this.topic = topicName ? pubsub.topic(topicName, { messageOrdering }) : null;
+    this.subscriptions = [];
+  }
+
+  async publish({ data, attributes, orderingKey }) {
+    if (!this.topic) throw new Error('PubSubTransport has no topic configured');
+    try {
+      return await this.topic.publishMessage({ data, attributes, orderingKey });
+    } catch (error) {
+      // A failed publish pauses its ordering key until resumed
+      if (orderingKey) this.topic.resumePublishing(orderingKey);
+      throw error;
+    }
+  }
+
+  async subscribe(handler, { maxMessages = 10 } = {}) {
+    if (!this.subscriptionName) throw new Error('PubSubTransport has no subscription configured');
+    const subscription = this.pubsub.subscription(this.subscriptionName, {
+      flowControl: { maxMessages, allowExcessMessages: false }
+    });
+
+    subscription.on('message', (message) => {
+      let settled = false;
+      const settle = (settleFn) => {
+        if (settled) return;
+        settled = true;
+        settleFn();
+      };
+      deliver(handler, {
+        id: message.id,
+        data: message.data,
+        attributes: message.attributes || {},
+        deliveryAttempt: message.deliveryAttempt || 1,
+        ack: () => settle(() => message.ack()),
+        nack: ({ delayMs = 0 } = {}) => settle(() => {
+          // The client keeps extending the lease meanwhile, so redelivery waits for the nack
+          if (delayMs > 0) setTimeout(() => message.nack(), Math.min(delayMs, MAX_PUBSUB_NACK_DELAY_MS));
+          else message.nack();
+        })
+      });
+    });
+    subscription.on('error', (error) => {
+      console.error(`❌ Pub/Sub subscription ${this.subscriptionName} error:`, error.message);
+    });
+
+    this.subscriptions.push(subscription);
+    return () => subscription.close();
+  }
+
+  async close() {
+    await Promise.all(this.subscriptions.map(s => s.close()));
+    this.subscriptions = [];
+  }
+}
+
+/**
+ * In-process queue for tests. Messages are lost when the process exits.
+ */
+class MemoryTransport {
+  constructor({ redeliveryDelayMs = 1000 } = {}) {
+    this.type = 'memory';
+    this.redeliveryDelayMs = redeliveryDelayMs;
+    this.queue = [];
+    this.consumers = [];
+  }
+
+  async publish({ data, attributes = {}, orderingKey }) {
+    const id = crypto.randomUUID();
+    this.queue.push({ id, data: Buffer.from(data), attributes: { ...attributes }, orderingKey, deliveryAttempt: 0 });
+    this.dispatch();
+    return id;
+  }
+
+  async subscribe(handler, { maxMessages = 10 } = {}) {
+    const consumer = { handler, maxMessages, inFlight: 0 };
+    this.consumers.push(consumer);
+    this.dispatch();
+    return async () => {
+      this.consumers = this.consumers.filter(c => c !== consumer);
+    };
+  }
+
+  dispatch() {
+    for (const consumer of this.consumers) {
+      while (consumer.inFlight < consumer.maxMessages && this.queue.length > 0) {
+        const entry = this.queue.shift();
+        entry.deliveryAttempt++;
+        consumer.inFlight++;
+
+        let settled = false;
+        const settle = (requeue, delayMs = this.redeliveryDelayMs) => {
+          if (settled) return;
+          settled = true;
+          consumer.inFlight--;
+          if (requeue) {
+            setTimeout(() => {
+              this.queue.push(entry);
+              this.dispatch();
+            }, delayMs);
+          }
+          this.dispatch();
+        };
+
+        deliver(consumer.handler, {
+          id: entry.id,
+          data: entry.data,
+          attributes: entry.attributes,
+          deliveryAttempt: entry.deliveryAttempt,
+          ack: () => settle(false),
+          nack: ({ delayMs } = {}) => settle(true, delayMs)
+        });
+      }
+    }
+  }
+
+  // Messages waiting for delivery (not counting in-flight ones)
+  size() {
+    return this.queue.length;
+  }
+
+  async close() {
+    this.consumers = [];
+  }
+}
+
+// File queue names start with the time the message becomes deliverable
+function queueFileName(id, availableAt = Date.now()) {
+  return `${availableAt.toString().padStart(15, '0')}-${id}.json`;
+}
+
+function availableAt(fileName) {
+  return parseInt(fileName.split('-', 1)[0]) || 0;
+}
+
+/**
+ * Directory-backed queue so separate processes on one machine can exchange
+ * messages without cloud access. Each message is a JSON file that moves
+ * pending/ -> inflight/ (claimed, via atomic rename) -> deleted (ack) or
+ * back to pending/ (nack, or left in flight past ackDeadlineMs). A nack with
+ * a delay renames it to when it is due; files that cannot be read are moved
+ * to dead/ rather than redelivered.
+ */
+class FileQueueTransport {
+  constructor({ queueDir = DEFAULT_QUEUE_DIR, pollIntervalMs = 500, ackDeadlineMs = 10 * 60 * 1000, redeliveryDelayMs = 0 } = {}) {
+    this.type = 'file';
+    this.queueDir = queueDir;
+    this.pendingDir = path.join(queueDir, 'pending');
+    this.inflightDir = path.join(queueDir, 'inflight');
+    this.deadDir = path.join(queueDir, 'dead');
+    this.pollIntervalMs = pollIntervalMs;
+    this.ackDeadlineMs = ackDeadlineMs;
+    this.redeliveryDelayMs = redeliveryDelayMs;
+    this.timers = [];
+    fs.mkdirSync(this.pendingDir, { recursive: true });
+    fs.mkdirSync(this.inflightDir, { recursive: true });
+    fs.mkdirSync(this.deadDir, { recursive: true });
+  }
+
+  async publish({ data, attributes = {}, orderingKey }) {
+    const id = crypto.randomUUID();
+    const entry = {
+      id,
+      data: Buffer.from(data).toString('base64'),
+      attributes,
+      orderingKey: orderingKey || null,
+      deliveryAttempt: 0,
+      publishTime: new Date().toISOString()
+    };
+    // Timestamp prefix keeps delivery roughly in publish order
+    const fileName = queueFileName(id);
+    const tempPath = path.join(this.queueDir, `${fileName}.tmp`);
+    await fs.promises.writeFile(tempPath, JSON.stringify(entry));
+    await fs.promises.rename(tempPath, path.join(this.pendingDir, fileName));
+    return id;
+  }
+
+  // Return messages whose consumer died without acking
+  async recoverExpired() {
+    const now = Date.now();
+    for (const fileName of await fs.promises.readdir(this.inflightDir)) {
+      const inflightPath = path.join(this.inflightDir, fileName);
+      try {
+        const stat = await fs.promises.stat(inflightPath);
+        if (now - stat.mtimeMs > this.ackDeadlineMs) {
+          await fs.promises.rename(inflightPath, path.join(this.pendingDir, fileName));
+        }
+      } catch (error) {
+        // Acked or recovered by another consumer meanwhile
+      }
+    }
+  }
+
+  async claim(fileName) {
+    const inflightPath = path.join(this.inflightDir, fileName);
+    try {
+      await fs.promises.rename(path.join(this.pendingDir, fileName), inflightPath);
+    } catch (error) {
+      return null; // Claimed by another consumer
+    }
+    let entry;
+    try {
+      entry = JSON.parse(await fs.promises.readFile(inflightPath, 'utf8'));
+      if (!entry || typeof entry.id !== 'string' || typeof entry.data !== 'string') throw new Error('not a queue message');
+    } catch (error) {
+      await this.quarantine(fileName, error);
+      return null;
+    }
+    entry.deliveryAttempt++;
+    await fs.promises.writeFile(inflightPath, JSON.stringify(entry));
+    return { entry, inflightPath };
+  }
+
+  // Park an unreadable in-flight file in dead/ so it is not redelivered forever
+  async quarantine(fileName, error) {
+    console.error(`❌ File queue message ${fileName} is unreadable (${error.message}); moving it to ${this.deadDir}`);
+    try {
+      await fs.promises.rename(path.join(this.inflightDir, fileName), path.join(this.deadDir, fileName));
+    } catch (renameError) {
+      console.error(`❌ File queue could not quarantine ${fileName}:`, renameError.message);
+    }
+  }
+
+  async subscribe(handler, { maxMessages = 10 } = {}) {
+    let inFlight = 0;
+    let polling = false;
+    let closed = false;
+
+    const poll = async () => {
+      if (polling || closed) return;
+      polling = true;
+      try {
+        await this.recoverExpired();
+        const now = Date.now();
+        const fileNames = (await fs.promises.readdir(this.pendingDir)).sort();
+        for (const fileName of fileNames) {
+          // Sorted by due time, so the rest are delayed too
+          if (inFlight >= maxMessages || closed || availableAt(fileName) > now) break;
+          const claimed = await this.claim(fileName);
+          if (!claimed) continue;
+
+          const { entry, inflightPath } = claimed;
+          inFlight++;
+          let settled = false;
+          const settle = async (requeue, delayMs = this.redeliveryDelayMs) => {
+            if (settled) return;
+            settled = true;
+            inFlight--;
+            try {
+              if (requeue) {
+                const pendingName = delayMs > 0 ? queueFileName(entry.id, Date.now() + delayMs) : fileName;
+                await fs.promises.rename(inflightPath, path.join(this.pendingDir, pendingName));
+              } else {
+                await fs.promises.unlink(inflightPath);
+              }
+            } catch (error) {
+              console.error(`❌ File queue could not settle message ${entry.id}:`, error.message);
+            }
+          };
+
+          deliver(handler, {
+            id: entry.id,
+            data: Buffer.from(entry.data, 'base64'),
+            attributes: entry.attributes || {},
+            deliveryAttempt: entry.deliveryAttempt,
+            ack: () => { settle(false); },
+            nack: ({ delayMs } = {}) => { settle(true, delayMs); }
+          });
+        }
+      } catch (error) {
+        console.error('❌ File queue poll failed:', error.message);
+      } finally {
+        polling = false;
+      }
+    };
+
+    const timer = setInterval(poll, this.pollIntervalMs);
+    this.timers.push(timer);
+    poll();
+
+    return async () => {
+      closed = true;
+      clearInterval(timer);
+    };
+  }
+
+  // Messages waiting for delivery (not counting in-flight ones)
+  size() {
+    return fs.readdirSync(this.pendingDir).length;
+  }
+
+  async close() {
+    this.timers.forEach(clearInterval);
+    this.timers = [];
+  }
+}
+
+// Memory transports are shared per process so a poller and subscriber wired
+// together in one process (e.g. a test) talk to the same queue
+const memoryTransports = new Map();
+
+/**
+ * Create the transport selected by MESSAGE_TRANSPORT (default pubsub)
+ * @param {string} type - pubsub | file | memory
+ * @param {object} options - { createPubSubClient, topicName, subscriptionName, messageOrdering, queueDir, name }
+ */
+function createTransport(type = process.env.MESSAGE_TRANSPORT || 'pubsub', options = {}) {
+  switch (type) {
+    case 'pubsub':
+      if (!options.createPubSubClient) throw new Error('createPubSubClient is required for the pubsub transport');
+      return new PubSubTransport(options.createPubSubClient(), options);
+    case 'file':
+      return new FileQueueTransport({ queueDir: options.queueDir || process.env.FILE_QUEUE_DIR || DEFAULT_QUEUE_DIR });
+    case 'memory': {
+      const name = options.name || 'default';
+      if (!memoryTransports.has(name)) memoryTransports.set(name, new MemoryTransport());
+      return memoryTransports.get(name);
+    }
+    default:
+      throw new Error(`Unknown MESSAGE_TRANSPORT: ${type}`);
+  }
+}
+
+module.exports = {
+  PubSubTransport,
+  MemoryTransport,
+  FileQueueTransport,
+  createTransport
+};
@@ -0,0 +1,108 @@
+// transport.test.js - run with `npm test` in subscriber/ (node --test)
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryTransport, FileQueueTransport } = require('./transport');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Collect deliveries; respond(message, deliveries) decides how to settle each one
+async function consume(transport, respond) {
+  const deliveries = [];
+  const close = await transport.subscribe(async (message) => {
+    deliveries.push({ data: message.data.toString(), deliveryAttempt: message.deliveryAttempt, at: Date.now() });
+    await respond(message, deliveries);
+  });
+  return { deliveries, close };
+}
+
+async function waitFor(condition, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('timed out waiting for condition');
+    await sleep(10);
+  }
+}
+
+function createFileQueue(t, options = {}) {
+  const queueDir = fs.mkdtempSync(path.join(os.tmpdir(), 'file-queue-'));
+  const transport = new FileQueueTransport({ queueDir, pollIntervalMs: 20, ...options });
+  t.after(async () => {
+    await transport.close();
+    fs.rmSync(queueDir, { recursive: true, force: true });
+  });
+  return transport;
+}
+
+for (const [name, create] of [
+  ['MemoryTransport', (t) => {
+    const transport = new MemoryTransport({ redeliveryDelayMs: 10 });
+    t.after(() => transport.close());
+    return transport;
+  }],
+  ['FileQueueTransport', createFileQueue]
+]) {
+  test(`${name} delivers and acks messages`, async (t) => {
+    const transport = create(t);
+    const { deliveries, close } = await consume(transport, (message) => message.ack());
+    await transport.publish({ data: 'one' });
+    await transport.publish({ data: 'two' });
+    await waitFor(() => deliveries.length === 2);
+    await close();
+    assert.deepStrictEqual(deliveries.map(d => d.data).sort(), ['one', 'two']);
+    await sleep(50);
+    assert.strictEqual(transport.size(), 0);
+  });
+
+  test(`${name} redelivers a nacked message after its delay`, async (t) => {
+    const transport = create(t);
+    const { deliveries, close } = await consume(transport, (message, seen) => {
+      if (seen.length === 1) message.nack({ delayMs: 200 });
+      else message.ack();
+    });
+    await transport.publish({ data: 'retry me' });
+    await waitFor(() => deliveries.length === 2);
+    await close();
+    assert.strictEqual(deliveries[1].deliveryAttempt, 2);
+    assert.ok(deliveries[1].at - deliveries[0].at >= 190, 'redelivered before the delay');
+  });
+
+  test(`${name} nacks when the handler rejects`, async (t) => {
+    const transport = create(t);
+    const { deliveries, close } = await consume(transport, (message, seen) => {
+      if (seen.length === 1) throw new Error('handler failed');
+      message.ack();
+    });
+    await transport.publish({ data: 'flaky' });
+    await waitFor(() => deliveries.length === 2);
+    await close();
+    assert.strictEqual(deliveries[1].deliveryAttempt, 2);
+  });
+}
+
+test('FileQueueTransport moves unreadable messages to dead/ and keeps delivering', async (t) => {
+  const transport = createFileQueue(t);
+  fs.writeFileSync(path.join(transport.pendingDir, '000000000000000-corrupt.json'), '{not json');
+  const { deliveries, close } = await consume(transport, (message) => message.ack());
+  await transport.publish({ data: 'after corrupt' });
+  await waitFor(() => deliveries.length === 1);
+  await close();
+  assert.strictEqual(deliveries[0].data, 'after corrupt');
+  assert.deepStrictEqual(fs.readdirSync(transport.deadDir), ['000000000000000-corrupt.json']);
+  assert.deepStrictEqual(fs.readdirSync(transport.inflightDir), []);
+});
+
+test('FileQueueTransport returns messages left in flight past the ack deadline', async (t) => {
+  const transport = createFileQueue(t, { ackDeadlineMs: 50 });
+  const { deliveries, close } = await consume(transport, (message, seen) => {
+    // The first delivery is never settled, as if the consumer crashed
+    if (seen.length > 1) message.ack();
+  });
+  await transport.publish({ data: 'abandoned' });
+  await waitFor(() => deliveries.length === 2);
+  await close();
+  assert.strictEqual(deliveries[1].deliveryAttempt, 2);
+});
@@ -1,11 +1,20 @@
+const crypto = require('crypto');
 const { Semaphore } = require('async-mutex');
 
+const SEMAPHORE_BACKEND = process.env.SEMAPHORE_BACKEND || 'local';
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const SEMAPHORE_KEY_PREFIX = process.env.SEMAPHORE_KEY_PREFIX || 'property-drawing:semaphore:';
+// A holder that stops renewing (crashed instance) loses its permit after this long
+const SEMAPHORE_LEASE_TTL_MS = parseInt(process.env.SEMAPHORE_LEASE_TTL_MS) || 60000;
+const SEMAPHORE_ACQUIRE_TIMEOUT_MS = parseInt(process.env.SEMAPHORE_ACQUIRE_TIMEOUT_MS) || 5 * 60 * 1000;
+
 class LocalSemaphore {
   constructor(name, limit) {
+    this.type = 'local';
     this.name = name;
     this.limit = limit;
     this.semaphore = new Semaphore(limit);
-    
+
     console.log(`✅ Local semaphore initialized for ${name} with limit: ${limit}`);
   }
 
@@ -31,4 +40,218 @@ class LocalSemaphore {
   }
 }
 
-module.exports = { LocalSemaphore };
\ No newline at end of file
+/**
+ * Lease-based semaphore. Each permit is a lease with an expiry that the
+ * holder renews while it runs; expired leases are dropped before counting,
+ * so permits held by a crashed process come back after leaseTtlMs.
+ * Subclasses provide the lease storage (tryLease, renewLease, releaseLease, countLeases).
+ */
+class LeaseSemaphore {
+  constructor(name, limit, { leaseTtlMs = SEMAPHORE_LEASE_TTL_MS, acquireTimeoutMs = SEMAPHORE_ACQUIRE_TIMEOUT_MS } = {}) {
+    this.name = name;
+    this.limit = limit;
+    this.leaseTtlMs = leaseTtlMs;
+    this.acquireTimeoutMs = acquireTimeoutMs;
+  }
+
+  async acquire() {
+    const leaseId = crypto.randomUUID();
+    const deadline = Date.now() + this.acquireTimeoutMs;
+    let waitMs = 50;
+
+    while (!(await this.tryLease(leaseId))) {
+      if (Date.now() >= deadline) {
+        throw new Error(`Timed out after ${this.acquireTimeoutMs}ms waiting for ${this.name} semaphore`);
+      }
+      // Back off (with jitter) so waiting instances do not hammer the store
+      await new Promise(resolve => setTimeout(resolve, waitMs + Math.random() * waitMs));
+      waitMs = Math.min(waitMs * 2, 1000);
+    }
+
+    // Renew well before expiry; a missed renewal or two is fine
+    const heartbeat = setInterval(() => {
+      this.renewLease(leaseId).catch(error => {
+        console.error(`❌ Failed to renew ${this.name} semaphore lease:`, error.message);
+      });
+    }, Math.floor(this.leaseTtlMs / 3));
+    heartbeat.unref();
+
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      clearInterval(heartbeat);
+      this.releaseLease(leaseId).catch(error => {
+        // The lease expires on its own
+        console.error(`❌ Failed to release ${this.name} semaphore lease:`, error.message);
+      });
+    };
+  }
+
+  async getAvailablePermits() {
+    return Math.max(this.limit - await this.countLeases(), 0);
+  }
+
+  async getCurrentUsage() {
+    return this.countLeases();
+  }
+}
+
+// Leases in a sorted set (score = expiry). Scripts use Redis server time so
+// instances with skewed clocks agree on what has expired.
+const TRY_LEASE_SCRIPT = `
+local t = redis.call('TIME')
+local now = tonumber(t[1]) * 1000 + math.floor(tonumber(t[2]) / 1000)
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now)
+if redis.call('ZCARD', KEYS[1]) < tonumber(ARGV[1]) then
+  redis.call('ZADD', KEYS[1], now + tonumber(ARGV[2]), ARGV[3])
+  redis.call('PEXPIRE', KEYS[1], tonumber(ARGV[2]) * 2)
+  return 1
+end
+return 0
+`;
+
+const RENEW_LEASE_SCRIPT = `
+local t = redis.call('TIME')
+local now = tonumber(t[1]) * 1000 + math.floor(tonumber(t[2]) / 1000)
+local renewed = redis.call('ZADD', KEYS[1], 'XX', 'CH', now + tonumber(ARGV[1]), ARGV[2])
+redis.call('PEXPIRE', KEYS[1], tonumber(ARGV[1]) * 2)
+return renewed
+`;
+
+const COUNT_LEASES_SCRIPT = `
+local t = redis.call('TIME')
+local now = tonumber(t[1]) * 1000 + math.floor(tonumber(t[2]) / 1000)
+redis.call('ZREMRANGEBYSCORE', KEYS[1], '-inf', now)
+return redis.call('ZCARD', KEYS[1])
+`;
+
+class RedisSemaphore extends LeaseSemaphore {
+  constructor(name, limit, { redisUrl = REDIS_URL, keyPrefix = SEMAPHORE_KEY_PREFIX, ...options } = {}) {
+    super(name, limit, options);
+    this.type = 'redis';
+    this.key = `${keyPrefix}${name}`;
+
+    // Loaded lazily so the local backends work without ioredis
+    const Redis = require('ioredis');
+    this.redisUrl = redisUrl;
+    this.redis = new Redis(redisUrl, { maxRetriesPerRequest: 3 });
+    this.redis.on('error', (error) => {
+      console.error(`❌ Redis error for ${name} semaphore:`, error.message);
+    });
+    this.redis.defineCommand('tryLease', { numberOfKeys: 1, lua: TRY_LEASE_SCRIPT });
+    this.redis.defineCommand('renewLease', { numberOfKeys: 1, lua: RENEW_LEASE_SCRIPT });
+    this.redis.defineCommand('countLeases', { numberOfKeys: 1, lua: COUNT_LEASES_SCRIPT });
+
+    console.log(`✅ Redis semaphore initialized for ${name} with limit: ${limit} (key ${this.key})`);
+  }
+
+  async tryLease(leaseId) {
+    return (await this.redis.tryLease(this.key, this.limit, this.leaseTtlMs, leaseId)) === 1;
+  }
+
+  async renewLease(leaseId) {
+    const renewed = await this.redis.renewLease(this.key, this.leaseTtlMs, leaseId);
+    // ZADD XX does nothing if the lease already expired; the work finishes without a permit
+    if (renewed === 0) console.warn(`⚠️  ${this.name} semaphore lease ${leaseId} expired before renewal`);
+  }
+
+  async releaseLease(leaseId) {
+    await this.redis.zrem(this.key, leaseId);
+  }
+
+  async countLeases() {
+    return this.redis.countLeases(this.key);
+  }
+
+  isRedisConnected() {
+    return this.redis.status === 'ready';
+  }
+
+  getRedisConfig() {
+    // Never report credentials
+    const url = new URL(this.redisUrl);
+    return { host: url.hostname, port: Number(url.port) || 6379, key: this.key, leaseTtlMs: this.leaseTtlMs };
+  }
+
+  async close() {
+    await this.redis.quit();
+  }
+}
+
+// Lease tables shared per process by semaphore name, like one Redis key
+const memoryLeases = new Map();
+
+/**
+ * In-process stand-in for RedisSemaphore with the same lease and TTL
+ * behaviour, for tests and single-machine runs.
+ */
+class MemoryLeaseSemaphore extends LeaseSemaphore {
+  constructor(name, limit, options = {}) {
+    super(name, limit, options);
+    this.type = 'memory-lease';
+    if (!memoryLeases.has(name)) memoryLeases.set(name, new Map());
+    this.leases = memoryLeases.get(name);
+    console.log(`✅ In-process lease semaphore initialized for ${name} with limit: ${limit}`);
+  }
+
+  pruneExpired() {
+    const now = Date.now();
+    for (const [leaseId, expiresAt] of this.leases) {
+      if (expiresAt <= now) this.leases.delete(leaseId);
+    }
+  }
+
+  async tryLease(leaseId) {
+    this.pruneExpired();
+    if (this.leases.size >= this.limit) return false;
+    this.leases.set(leaseId, Date.now() + this.leaseTtlMs);
+    return true;
+  }
+
+  async renewLease(leaseId) {
+    if (this.leases.has(leaseId)) this.leases.set(leaseId, Date.now() + this.leaseTtlMs);
+  }
+
+  async releaseLease(leaseId) {
+    this.leases.delete(leaseId);
+  }
+
+  async countLeases() {
+    this.pruneExpired();
+    return this.leases.size;
+  }
+
+  isRedisConnected() {
+    return false;
+  }
+
+  getRedisConfig() {
+    return null;
+  }
+}
+
+/**
+ * Create a semaphore for the configured backend (SEMAPHORE_BACKEND=local|redis|memory-lease)
+ * @param {string} name - Semaphore name; instances with the same name share permits
+ * @param {number} limit - Permits across all holders
+ */
+function createSemaphore(name, limit, backend = SEMAPHORE_BACKEND) {
+  switch (backend) {
+    case 'local':
+      return new LocalSemaphore(name, limit);
+    case 'redis':
+      return new RedisSemaphore(name, limit);
+    case 'memory-lease':
+      return new MemoryLeaseSemaphore(name, limit);
+    default:
+      throw new Error(`Unknown SEMAPHORE_BACKEND: ${backend}`);
+  }
+}
+
+module.exports = {
+  LocalSemaphore,
+  RedisSemaphore,
+  MemoryLeaseSemaphore,
+  createSemaphore
+};
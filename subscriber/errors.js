@@ -0,0 +1,116 @@
+// errors.js (CommonJS)
+//
+// Typed processing errors. The kind decides how a failed file is retried
+// (see retryPolicy.js):
+//   transient     - network blips, timeouts, 5xx; retried with backoff
+//   rate_limited  - 429 / quota; retried with a longer backoff, honoring Retry-After
+//   permanent     - will fail the same way again (404, 403, bad request)
+//   invalid_input - the file itself cannot be processed (corrupt, unsupported)
+
+const ERROR_KINDS = ['transient', 'rate_limited', 'permanent', 'invalid_input'];
+
+class ProcessingError extends Error {
+  constructor(message, { kind = 'transient', cause, status = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.kind = kind;
+    this.status = status;
+    if (cause) this.cause = cause;
+  }
+}
+
+class TransientError extends ProcessingError {
+  constructor(message, options = {}) {
+    super(message, { ...options, kind: 'transient' });
+  }
+}
+
+// A request that did not answer in time; callers may treat it as best-effort
+class TimeoutError extends TransientError {}
+
+class RateLimitError extends ProcessingError {
+  constructor(message, { retryAfterMs = null, ...options } = {}) {
+    super(message, { ...options, kind: 'rate_limited' });
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+class PermanentError extends ProcessingError {
+  constructor(message, options = {}) {
+    super(message, { ...options, kind: 'permanent' });
+  }
+}
+
+class InvalidInputError extends ProcessingError {
+  constructor(message, options = {}) {
+    super(message, { ...options, kind: 'invalid_input' });
+  }
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(seconds * 1000, 0);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * Build a typed error from a non-OK fetch response (LLM HTTP APIs)
+ * @param {string} label - What was being called, for the message
+ * @param {object} res - node-fetch Response
+ * @param {string} body - Response text
+ */
+function errorFromResponse(label, res, body) {
+  const message = `${label} returned ${res.status}: ${String(body).slice(0, 500)}`;
+  if (res.status === 429) {
+    return new RateLimitError(message, { status: 429, retryAfterMs: parseRetryAfter(res.headers?.get?.('retry-after')) });
+  }
+  if (res.status >= 500 || res.status === 408) return new TransientError(message, { status: res.status });
+  return new PermanentError(message, { status: res.status });
+}
+
+const TRANSIENT_NETWORK_CODES = new Set(['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE', 'ESOCKETTIMEDOUT']);
+const DRIVE_RATE_LIMIT_REASONS = new Set(['rateLimitExceeded', 'userRateLimitExceeded', 'dailyLimitExceeded', 'quotaExceeded']);
+
+/**
+ * Map any thrown value to a ProcessingError. Unknown errors count as
+ * transient so they get a bounded number of retries.
+ */
+function classifyError(error) {
+  if (error instanceof ProcessingError) return error;
+
+  const message = String(error?.message ?? error);
+  const status = Number(error?.response?.status ?? error?.status ?? error?.code) || null;
+  const reason = error?.errors?.[0]?.reason ?? error?.response?.data?.error?.errors?.[0]?.reason;
+
+  if (error?.name === 'AbortError') return new TimeoutError(`Request timed out: ${message}`, { cause: error });
+  if (TRANSIENT_NETWORK_CODES.has(error?.code)) return new TransientError(message, { cause: error });
+
+  // googleapis (GaxiosError) responses
+  if (status === 429 || DRIVE_RATE_LIMIT_REASONS.has(reason)) {
+    return new RateLimitError(message, {
+      cause: error,
+      status,
+      retryAfterMs: parseRetryAfter(error?.response?.headers?.['retry-after'])
+    });
+  }
+  if (status === 408 || (status >= 500 && status < 600)) return new TransientError(message, { cause: error, status });
+  if (status >= 400 && status < 500) return new PermanentError(message, { cause: error, status });
+
+  return new TransientError(message, { cause: error });
+}
+
+module.exports = {
+  ERROR_KINDS,
+  parseRetryAfter,
+  ProcessingError,
+  TransientError,
+  TimeoutError,
+  RateLimitError,
+  PermanentError,
+  InvalidInputError,
+  errorFromResponse,
+  classifyError
+};
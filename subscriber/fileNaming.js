@@ -0,0 +1,110 @@
+// fileNaming.js (CommonJS)
+//
+// Optional standardized names for organized files. FILE_NAME_TEMPLATE, e.g.
+// "{property}_{year}_{drawingNumber}_{sheetTitle}.pdf", takes the folder
+// layout fields and fallbacks (see folderLayout.js) plus {revision}, the
+// latest title-block revision, and {originalName}. The original extension is
+// always kept. When the name is already taken in the destination folder a
+// revision tag is tried, then numeric suffixes. The original name is kept in
+// the file's appProperties and description.
+
+const path = require('path');
+const { LAYOUT_FIELDS, checkTemplate, sanitizeName, renderTemplate, getLayoutFields } = require('./folderLayout');
+
+const FILE_NAME_FIELDS = [...LAYOUT_FIELDS, 'revision', 'originalName'];
+const FILE_NAME_TEMPLATE = process.env.FILE_NAME_TEMPLATE || '';
+if (FILE_NAME_TEMPLATE) checkTemplate(FILE_NAME_TEMPLATE, FILE_NAME_FIELDS);
+const FILE_NAME_MAX_LENGTH = parseInt(process.env.FILE_NAME_MAX_LENGTH) || 120;
+
+const MAX_NUMERIC_SUFFIX = 99;
+// appProperties keys and values share a 124-byte limit
+const MAX_APP_PROPERTY_BYTES = 100;
+
+// Latest revision letter/number, by date when dated, else the last listed
+function getLatestRevision(titleBlock) {
+  const revisions = (titleBlock?.revisions || []).filter(r => r.revision);
+  if (revisions.length === 0) return null;
+  const dated = revisions.filter(r => r.date).sort((a, b) => b.date.localeCompare(a.date));
+  return (dated[0] || revisions[revisions.length - 1]).revision;
+}
+
+/**
+ * Standardized name for a file, or null to keep the original
+ * @param {string} originalName - Current Drive file name
+ * @param {object} property - Properties sheet row (see getPropertyRecord)
+ * @param {string} year - Filing year or 'Unknown_Year'
+ * @param {object|null} titleBlock - Validated title block
+ * @returns {{ name: string, revision: string|null }|null}
+ */
+function renderFileName(originalName, property, year, titleBlock = null, { template = FILE_NAME_TEMPLATE, maxLength = FILE_NAME_MAX_LENGTH } = {}) {
+  if (!template) return null;
+  const extension = path.extname(originalName);
+  const revision = getLatestRevision(titleBlock);
+  const values = {
+    ...getLayoutFields(property, year, titleBlock),
+    revision,
+    originalName: path.basename(originalName, extension)
+  };
+
+  let stem = renderTemplate(template, values)
+    // Empty fields leave doubled separators: "Oak__SITE PLAN"
+    .replace(/([_-])(?:\s*[_-])+/g, '$1');
+  if (extension && stem.toLowerCase().endsWith(extension.toLowerCase())) stem = stem.slice(0, -extension.length);
+  stem = sanitizeName(stem, maxLength - extension.length);
+  return stem ? { name: `${stem}${extension}`, revision } : null;
+}
+
+/**
+ * First of name, name with a revision tag, name (2), name (3)... not in taken
+ * @param {string} name - Preferred name
+ * @param {Set<string>} taken - Names already used in the destination folder
+ * @param {string|null} revision - Latest revision, tried as "_Rev<revision>" before numbers
+ * @returns {string}
+ */
+function chooseFreeName(name, taken, revision = null, maxLength = FILE_NAME_MAX_LENGTH) {
+  if (!taken.has(name)) return name;
+  const extension = path.extname(name);
+  const stem = path.basename(name, extension);
+  const withSuffix = (suffix) => `${stem.slice(0, maxLength - extension.length - suffix.length)}${suffix}${extension}`;
+
+  const revisionTag = revision ? `_Rev${sanitizeName(revision, 10)}` : null;
+  if (revisionTag && !stem.endsWith(revisionTag) && !taken.has(withSuffix(revisionTag))) return withSuffix(revisionTag);
+  for (let n = 2; n <= MAX_NUMERIC_SUFFIX; n++) {
+    if (!taken.has(withSuffix(` (${n})`))) return withSuffix(` (${n})`);
+  }
+  // A folder this crowded gets a unique timestamp instead
+  return withSuffix(` (${Date.now()})`);
+}
+
+// Longest prefix of text within maxBytes of UTF-8, cut between characters
+function truncateUtf8(text, maxBytes) {
+  let truncated = '';
+  let bytes = 0;
+  for (const char of Array.from(text)) {
+    bytes += Buffer.byteLength(char);
+    if (bytes > maxBytes) break;
+    truncated += char;
+  }
+  return truncated;
+}
+
+// Drive metadata keeping the name a file had before it was renamed;
+// a file renamed before (e.g. filed again after review) keeps its first original
+function originalNameMetadata(file) {
+  if (file.appProperties?.originalName) return {};
+  const note = `Original name: ${file.name}`;
+  return {
+    description: file.description ? `${file.description}\n${note}` : note,
+    appProperties: {
+      originalName: truncateUtf8(file.name, MAX_APP_PROPERTY_BYTES),
+      originalFileId: file.id
+    }
+  };
+}
+
+module.exports = {
+  FILE_NAME_TEMPLATE,
+  renderFileName,
+  chooseFreeName,
+  originalNameMetadata
+};
@@ -0,0 +1,147 @@
+// folderLayout.js (CommonJS)
+//
+// Destination folder layout. FOLDER_LAYOUT is a path template such as
+// "{propertyCode} - {property}/{discipline}/{year}" rendered under the main
+// destination folder from the property row, the year and the title block.
+// Missing fields take their FOLDER_LAYOUT_FALLBACKS value, else render empty;
+// leftover separators are trimmed and empty segments dropped. Folder names are
+// sanitized for Drive (and Drive for desktop syncs) before use.
+
+const { TITLE_BLOCK_FIELDS } = require('./titleBlock');
+
+const DESTINATION_FOLDER_NAME = process.env.DESTINATION_FOLDER_NAME || 'Ordered Property Drawings';
+const DEFAULT_FOLDER_LAYOUT = '{property}/{year}';
+
+const LAYOUT_FIELDS = ['property', 'propertyCode', 'propertyStatus', 'year', ...Object.keys(TITLE_BLOCK_FIELDS)];
+// Segments using these name the property; a Destination Folder override replaces them
+const PROPERTY_FIELDS = new Set(['property', 'propertyCode']);
+
+const PLACEHOLDER = /\{(\w+)\}/g;
+const MAX_FOLDER_NAME_LENGTH = 120;
+
+// Throws on placeholders outside fields and on stray braces
+function checkTemplate(template, fields = LAYOUT_FIELDS) {
+  for (const [, field] of template.matchAll(PLACEHOLDER)) {
+    if (!fields.includes(field)) throw new Error(`Unknown field {${field}}; use one of ${fields.join(', ')}`);
+  }
+  if (/[{}]/.test(template.replace(PLACEHOLDER, ''))) throw new Error(`Unmatched brace in "${template}"`);
+}
+
+/**
+ * Split a layout template into path segments
+ * @param {string} layout - e.g. "{property}/{discipline}/{year}"
+ * @returns {Array<string>} - Segment templates
+ * @throws {Error} - Unknown placeholder, stray brace or no segments
+ */
+function parseFolderLayout(layout) {
+  const segments = String(layout || '').split('/').map(s => s.trim()).filter(Boolean);
+  if (segments.length === 0) throw new Error('Folder layout has no segments');
+  segments.forEach(segment => checkTemplate(segment));
+  return segments;
+}
+
+// field=value pairs, comma-separated, as in GEMINI_RATE_LIMITS
+function parseFallbacks(value) {
+  const fallbacks = { property: 'Unidentified', year: 'Unknown_Year' };
+  for (const entry of String(value || '').split(',').map(e => e.trim()).filter(Boolean)) {
+    const match = entry.match(/^(\w+)=(.*)$/);
+    if (!match || !LAYOUT_FIELDS.includes(match[1])) {
+      console.warn(`⚠️  Ignoring malformed FOLDER_LAYOUT_FALLBACKS entry: ${entry}`);
+      continue;
+    }
+    fallbacks[match[1]] = match[2].trim();
+  }
+  return fallbacks;
+}
+
+const FOLDER_LAYOUT = parseFolderLayout(process.env.FOLDER_LAYOUT || DEFAULT_FOLDER_LAYOUT);
+const FOLDER_LAYOUT_FALLBACKS = parseFallbacks(process.env.FOLDER_LAYOUT_FALLBACKS);
+
+/**
+ * Make a string usable as a Drive file or folder name: no path separators or
+ * characters Windows cannot sync, no control characters, collapsed
+ * whitespace, no leading/trailing dots or separators, bounded length
+ * @returns {string} - Possibly empty
+ */
+function sanitizeName(name, maxLength = MAX_FOLDER_NAME_LENGTH) {
+  return String(name ?? '')
+    .replace(/[\u0000-\u001f\u007f]/g, ' ')
+    .replace(/\s*:\s*/g, ' - ')
+    .replace(/[\\/*?"<>|]/g, '-')
+    .replace(/\s+/g, ' ')
+    .slice(0, maxLength)
+    .replace(/^[\s.\-_,]+|[\s.\-_,]+$/g, '');
+}
+
+function sanitizeFolderName(name) {
+  return sanitizeName(name, MAX_FOLDER_NAME_LENGTH);
+}
+
+// Fill placeholders from values; missing values take their fallback, else ''
+function renderTemplate(template, values, fallbacks = FOLDER_LAYOUT_FALLBACKS) {
+  return template.replace(PLACEHOLDER, (_, field) => {
+    const value = values[field];
+    return value === null || value === undefined || String(value).trim() === '' ? (fallbacks[field] || '') : String(value);
+  });
+}
+
+/**
+ * Values the layout can reference
+ * @param {object} property - Properties sheet row (see getPropertyRecord)
+ * @param {string} year - Filing year or 'Unknown_Year'
+ * @param {object|null} titleBlock - Validated title block ({ field: { value, confidence } })
+ */
+function getLayoutFields(property, year, titleBlock = null) {
+  const fields = {
+    property: property.name,
+    propertyCode: property.code,
+    propertyStatus: property.status,
+    year
+  };
+  for (const field of Object.keys(TITLE_BLOCK_FIELDS)) fields[field] = titleBlock?.[field]?.value ?? null;
+  return fields;
+}
+
+/**
+ * Folder names to create, in order, for a file
+ * The property's own Folder Layout (Properties sheet) replaces FOLDER_LAYOUT.
+ * A Destination Folder name replaces the segments naming the property; a
+ * Destination Folder ID replaces them and the main folder (the path is
+ * rendered under that folder instead).
+ * @returns {{ rootFolderId: string|null, folderNames: Array<string> }} - rootFolderId null means the main folder
+ */
+function renderFolderPath(property, year, titleBlock = null, { layout = FOLDER_LAYOUT, fallbacks = FOLDER_LAYOUT_FALLBACKS } = {}) {
+  const fields = getLayoutFields(property, year, titleBlock);
+  const override = property.destinationFolder || null;
+  const segments = property.folderLayout || layout;
+
+  const folderNames = [];
+  let replaced = false;
+  for (const segment of segments) {
+    const namesProperty = Array.from(segment.matchAll(PLACEHOLDER)).some(([, field]) => PROPERTY_FIELDS.has(field));
+    if (override && namesProperty) {
+      // Only the first property segment becomes the override folder
+      if (override.name && !replaced) folderNames.push(sanitizeFolderName(override.name));
+      replaced = true;
+      continue;
+    }
+    const name = sanitizeFolderName(renderTemplate(segment, fields, fallbacks));
+    if (name) folderNames.push(name);
+  }
+
+  return { rootFolderId: override?.id || null, folderNames: folderNames.filter(Boolean) };
+}
+
+module.exports = {
+  DESTINATION_FOLDER_NAME,
+  FOLDER_LAYOUT,
+  FOLDER_LAYOUT_FALLBACKS,
+  LAYOUT_FIELDS,
+  checkTemplate,
+  parseFolderLayout,
+  sanitizeName,
+  sanitizeFolderName,
+  renderTemplate,
+  getLayoutFields,
+  renderFolderPath
+};
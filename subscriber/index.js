@@ -2,17 +2,30 @@
 require('dotenv/config');
 const express = require('express');
 const fs = require('fs');
+const path = require('path');
 const { google } = require('googleapis');
-const { GoogleSpreadsheet } = require('google-spreadsheet');
-const { processFile, populatePropertyMap } = require('./processFile.js');
-const { getOrCreateDestinationFolder, propertyMap, getPropertyData } = require('./sheetUtils.js');
+const { processFile, populateProperties, moveFileToOrganizedFolder, listPropertyRecords } = require('./processFile.js');
+const { getOrCreateDestinationFolder, getPropertyData } = require('./sheetUtils.js');
 const credentials = require('./service-account.json');
-const { LocalSemaphore } = require('./distributedSemaphore');
+const { LocalSemaphore, createSemaphore } = require('./distributedSemaphore');
+const { createStateStore, FINAL_STATUSES } = require('./stateStore');
+const { ProcessedFilesSheetExporter } = require('./sheetExport');
+const { classifyError } = require('./errors');
+const { RETRY_POLICIES, getRetryDecision } = require('./retryPolicy');
+const { REVIEW_ENABLED, REVIEW_FOLDER_NAME, REVIEW_THRESHOLDS } = require('./reviewPolicy');
+const { llmRateLimiter } = require('./rateLimiter');
+const { LlmClient } = require('./llmClient');
+const { PubSub } = require('@google-cloud/pubsub');
+const { getTraversalOptions, traverseFolder } = require('../shared/driveTraversal');
+const { decodeFileMessage } = require('../shared/messageSchema');
+const { createTransport } = require('../shared/transport');
 
 const MAX_GEMINI_CONCURRENT = parseInt(process.env.MAX_GEMINI_CONCURRENT) || 3;
 const MAX_CONCURRENT_PROCESSING = parseInt(process.env.MAX_CONCURRENT_PROCESSING) || 3;
-// Initialize local Gemini semaphore for rate limiting
-const geminiSemaphore = new LocalSemaphore('gemini-api', MAX_GEMINI_CONCURRENT);
+// Gemini semaphore for rate limiting; SEMAPHORE_BACKEND=redis shares the permits across instances
+const geminiSemaphore = createSemaphore('gemini-api', MAX_GEMINI_CONCURRENT);
+// LLM calls (property ID, year extraction); providers and models are configured per task
+const llmClient = new LlmClient({ semaphore: geminiSemaphore, rateLimiter: llmRateLimiter });
 
 // Initialize local processing semaphore (separate from Gemini semaphore)
 const processingSemaphore = new LocalSemaphore('processing', MAX_CONCURRENT_PROCESSING);
@@ -21,119 +34,52 @@ const app = express();
 const PORT = process.env.PORT || 8081;
 
 const PROJECT_ID = process.env.PROJECT_ID;
-// Removed Pub/Sub subscription - now processing directly from Drive
+// pull: consume poller messages from MESSAGE_TRANSPORT (default)
+// push: receive Pub/Sub push deliveries on POST /pubsub/push (Cloud Run)
+// scan: list GOOGLE_DRIVE_FOLDER_ID directly, for backfills
+const SUBSCRIBER_MODE = process.env.SUBSCRIBER_MODE || 'pull';
+const PUBSUB_SUBSCRIPTION = process.env.PUBSUB_SUBSCRIPTION;
+// Optional shared secret expected as ?token= on push deliveries
+const PUSH_VERIFICATION_TOKEN = process.env.PUSH_VERIFICATION_TOKEN;
+// Optional shared secret for the review console and dead-letter APIs, as ?token= or an X-Review-Token header
+const REVIEW_CONSOLE_TOKEN = process.env.REVIEW_CONSOLE_TOKEN;
 const SPREADSHEET_ID = process.env.SPREADSHEET_ID;
 const SHEET_NAME = process.env.SHEET_NAME; // ProcessedFiles
 const PROPERTY_SHEET_NAME = process.env.PROPERTY_SHEET_NAME; // Properties
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const GOOGLE_DRIVE_FOLDER_ID = process.env.GOOGLE_DRIVE_FOLDER_ID;
+// RECURSIVE_TRAVERSAL, MAX_FOLDER_DEPTH, FOLDER_INCLUDE_PATTERNS, FOLDER_EXCLUDE_PATTERNS
+const traversalOptions = getTraversalOptions();
 
-if (!PROJECT_ID || !GOOGLE_DRIVE_FOLDER_ID || !SPREADSHEET_ID || !SHEET_NAME || !PROPERTY_SHEET_NAME || !GEMINI_API_KEY) {
+if (!PROJECT_ID || !GOOGLE_DRIVE_FOLDER_ID || !SPREADSHEET_ID || !SHEET_NAME || !PROPERTY_SHEET_NAME) {
   throw new Error('Missing required environment variables. Please check your .env file.');
 }
+if (!['pull', 'push', 'scan'].includes(SUBSCRIBER_MODE)) {
+  throw new Error(`Unknown SUBSCRIBER_MODE: ${SUBSCRIBER_MODE}`);
+}
 
 let propertyData = [];
 let mainDestinationFolderId = null;
+let reviewFolderId = null; // staging folder for uncertain classifications
 let drive; // will create after obtaining auth client
 let authClient; // OAuth2 client for google-spreadsheet
+let isInitialized = false;
 
 
 
-// Cache of processed files
-const processedFileSet = new Set();
-const processedFileNames = new Set();
-
-// Batch queue for sheet operations to reduce API calls
-const sheetWriteQueue = [];
-const SHEET_BATCH_SIZE = 5; // Write to sheet in batches of 5 (reduced from 10)
-const SHEET_BATCH_DELAY = 15000; // 15 second delay between batch writes (increased from 5s)
-
-// Function to add processed file to batch queue
-function queueFileForSheet(fileId, fileName) {
-  sheetWriteQueue.push({
-    'File ID': fileId,
-    'File Name': fileName,
-    'Processed Date': new Date().toISOString()
-  });
-  console.log(`Queued file for sheet: ${fileName} (${fileId}) - Queue size: ${sheetWriteQueue.length}`);
-}
+// Per-file processing state (source of truth); ProcessedFiles sheet is exported from it
+const stateStore = createStateStore();
+const SHEET_EXPORT_BATCH_SIZE = parseInt(process.env.SHEET_EXPORT_BATCH_SIZE) || 50;
+const SHEET_EXPORT_INTERVAL = parseInt(process.env.SHEET_EXPORT_INTERVAL) || 15000; // 15 second delay between sheet exports
+const sheetExporter = new ProcessedFilesSheetExporter(
+  SPREADSHEET_ID,
+  SHEET_NAME,
+  () => authClient,
+  stateStore,
+  SHEET_EXPORT_BATCH_SIZE
+);
 
-// Function to flush batch queue to sheet with retry logic
-async function flushSheetQueue() {
-  if (sheetWriteQueue.length === 0) return;
-  
-  const rowsToAdd = sheetWriteQueue.splice(0, SHEET_BATCH_SIZE);
-  let retryCount = 0;
-  const maxRetries = 3;
-  
-  while (retryCount <= maxRetries) {
-    try {
-      console.log(`📊 Writing ${rowsToAdd.length} rows to ProcessedFiles sheet... (attempt ${retryCount + 1})`);
-      
-      const doc = new GoogleSpreadsheet(SPREADSHEET_ID);
-      if (!authClient) throw new Error('Auth client not initialized for Google Sheets');
-      await doc.useOAuth2Client(authClient);
-      await doc.loadInfo();
-
-      const sheet = doc.sheetsByTitle[SHEET_NAME];
-      if (!sheet) throw new Error(`Sheet "${SHEET_NAME}" not found`);
-
-      // Add all rows in a single batch operation
-      await sheet.addRows(rowsToAdd);
-      console.log(`✅ Successfully wrote ${rowsToAdd.length} rows to sheet`);
-      return; // Success, exit retry loop
-      
-    } catch (error) {
-      retryCount++;
-      const isQuotaError = error?.message?.includes('Quota exceeded') || error?.message?.includes('quota');
-      const isRateLimit = error?.message?.includes('rate') || error?.message?.includes('limit');
-      
-      if ((isQuotaError || isRateLimit) && retryCount <= maxRetries) {
-        const backoffDelay = Math.min(30000 * Math.pow(2, retryCount - 1), 300000); // Exponential backoff, max 5 minutes
-        console.warn(`⚠️  Quota/rate limit error (attempt ${retryCount}/${maxRetries + 1}). Waiting ${backoffDelay/1000}s before retry...`);
-        await new Promise(resolve => setTimeout(resolve, backoffDelay));
-      } else {
-        console.error(`❌ Error writing batch to ProcessedFiles sheet (attempt ${retryCount}/${maxRetries + 1}):`, error?.message ?? error);
-        if (retryCount > maxRetries) {
-          console.error('❌ Max retries exceeded. Re-queuing failed rows.');
-          // Re-queue failed rows at the beginning
-          sheetWriteQueue.unshift(...rowsToAdd);
-          return;
-        }
-      }
-    }
-  }
-}
-
-// Start periodic sheet flushing
-setInterval(flushSheetQueue, SHEET_BATCH_DELAY);
-
-// Load existing files from Google Sheet
-async function loadProcessedFiles() {
-  try {
-    console.log('📊 Loading processed files from sheet...');
-    const doc = new GoogleSpreadsheet(SPREADSHEET_ID);
-    if (!authClient) throw new Error('Auth client not initialized for Google Sheets');
-    await doc.useOAuth2Client(authClient);
-    await doc.loadInfo();
-
-    const sheet = doc.sheetsByTitle[SHEET_NAME];
-    if (!sheet) throw new Error(`Sheet "${SHEET_NAME}" not found`);
-
-    const rows = await sheet.getRows();
-    for (const row of rows) {
-      // google-spreadsheet rows may expose values as properties or via row.get
-      const fileId = typeof row.get === 'function' ? row.get('File ID') : row['File ID'] ?? row.fileId;
-      const fileName = typeof row.get === 'function' ? row.get('File Name') : row['File Name'] ?? row.fileName;
-      if (fileId) processedFileSet.add(fileId);
-      if (fileName) processedFileNames.add(String(fileName).toLowerCase());
-    }
-    console.log(`✅ Loaded ${rows.length} rows: ${processedFileSet.size} file IDs and ${processedFileNames.size} file names from sheet.`);
-  } catch (error) {
-    console.error('❌ Error loading processed files from sheet:', error?.message ?? error);
-    throw error;
-  }
-}
+// Start periodic sheet export
+setInterval(() => sheetExporter.exportPending(), SHEET_EXPORT_INTERVAL);
 
 // Batch processing configuration
 const BATCH_SIZE = 100; // Process files in batches of 100
@@ -147,33 +93,24 @@ let totalFilesProcessed = 0;
 let totalFilesSkipped = 0;
 let startTime = Date.now();
 
-// Fetch all files from Google Drive folder
+// Fetch all files from Google Drive folder (and subfolders when RECURSIVE_TRAVERSAL=true)
 async function fetchAllFiles() {
   console.log('📁 Fetching all files from Google Drive folder...');
   const files = [];
-  let pageToken = null;
-  
-  do {
-    try {
-      const response = await drive.files.list({
-        q: `'${GOOGLE_DRIVE_FOLDER_ID}' in parents and trashed=false`,
-        fields: 'nextPageToken, files(id, name, mimeType, size, createdTime)',
-        pageSize: 1000,
-        pageToken: pageToken,
-        supportsAllDrives: true,
-        includeItemsFromAllDrives: true
-      });
-      
-      files.push(...response.data.files);
-      pageToken = response.data.nextPageToken;
-      
-      console.log(`📄 Fetched ${response.data.files.length} files (Total: ${files.length})`);
-    } catch (error) {
-      console.error('❌ Error fetching files:', error);
-      throw error;
-    }
-  } while (pageToken);
-  
+
+  try {
+    await traverseFolder(drive, GOOGLE_DRIVE_FOLDER_ID, async (pageFiles, pageNumber, folder) => {
+      files.push(...pageFiles);
+      console.log(`📄 Fetched ${pageFiles.length} files from ${folder.path || 'root folder'} (Total: ${files.length})`);
+    }, {
+      ...traversalOptions,
+      fields: 'id, name, mimeType, size, createdTime, parents'
+    });
+  } catch (error) {
+    console.error('❌ Error fetching files:', error);
+    throw error;
+  }
+
   console.log(`✅ Total files found: ${files.length}`);
   return files;
 }
@@ -234,100 +171,290 @@ async function processBatch() {
 }
 
 // Process a single file from Drive
+// Returns 'done', 'skipped', 'failed' (dead-lettered), 'retry' (to be attempted again
+// at the record's nextAttemptAt) or 'in-progress' (another delivery holds the claim)
 async function processFileFromDrive(file) {
+  const { id: fileId, name: fileName } = file;
+
+  // Skip if already processed (same ID, or same name under another ID)
+  const existing = await stateStore.get(fileId);
+  const sameName = existing ? null : await stateStore.findByName(fileName);
+  const previous = existing || sameName;
+  if (previous && FINAL_STATUSES.has(previous.status)) {
+    console.log(`⏭️  Skipping already processed file: ${fileName} (${previous.status})`);
+    totalFilesSkipped++;
+    return 'skipped';
+  }
+
   const releaseProcessing = await processingSemaphore.acquire();
   
   try {
-    const { id: fileId, name: fileName } = file;
-    
-    // Skip if already processed
-    if (processedFileSet.has(fileId) || processedFileNames.has(fileName.toLowerCase())) {
-      console.log(`⏭️  Skipping already processed file: ${fileName}`);
+    // Claimed atomically: redeliveries, push and pull together, or the retry sweeper
+    // racing a redelivery must not process the same file twice
+    const claim = await stateStore.claim(fileId, {
+      fileName,
+      relativePath: file.relativePath || fileName,
+      mimeType: file.mimeType || null
+    });
+    if (!claim.claimed) {
+      if (claim.reason === 'processing') {
+        console.log(`⏭️  ${fileName} is already being processed`);
+        return 'in-progress';
+      }
+      if (claim.reason === 'scheduled') {
+        // A redelivered message must not bypass the backoff of a scheduled retry
+        console.log(`⏭️  Retry already scheduled for ${fileName} at ${claim.record.nextAttemptAt}`);
+        return 'retry';
+      }
+      console.log(`⏭️  Skipping already processed file: ${fileName} (${claim.reason})`);
       totalFilesSkipped++;
-      return;
+      return 'skipped';
     }
-    
-    console.log(`🔍 Processing file: ${fileName} (${fileId})`);
+
+    const { attempts } = claim.record;
+    console.log(`🔍 Processing file: ${file.relativePath || fileName} (${fileId})${attempts > 1 ? ` attempt ${attempts}` : ''}`);
     
     try {
       // Process the file
-      await processFile(file, propertyData, drive, mainDestinationFolderId, GEMINI_API_KEY, geminiSemaphore);
+      const result = await processFile(file, propertyData, drive, mainDestinationFolderId, llmClient, reviewFolderId);
       
-      // Add to processed sets
-      processedFileSet.add(fileId);
-      processedFileNames.add(fileName.toLowerCase());
-      
-      // Queue file for batch processing to ProcessedFiles sheet
-      queueFileForSheet(fileId, fileName);
+      // Record the result; this is what lets a queued message be acked
+      await stateStore.upsert(fileId, {
+        status: result.status,
+        property: result.property,
+        year: result.year,
+        propertyConfidence: result.propertyConfidence,
+        propertyMethod: result.propertyMethod,
+        yearConfidence: result.yearConfidence,
+        yearMethod: result.yearMethod,
+        reviewReasons: result.reviewReasons,
+        classification: result.classification,
+        destinationFileId: result.destinationFileId,
+        organizeMode: result.organizeMode,
+        destinationName: result.destinationName,
+        titleBlock: result.titleBlock,
+        extractionSource: result.extractionSource,
+        lastError: null,
+        errorKind: null,
+        processedAt: new Date().toISOString()
+      });
       
-      console.log(`✅ File processed successfully: ${fileName}`);
+      console.log(result.status === 'review' ? `🧐 File queued for review: ${fileName}` : `✅ File processed successfully: ${fileName}`);
       totalFilesProcessed++;
+      return 'done';
       
     } catch (processError) {
+      const error = classifyError(processError);
       console.error('❌ Error during file processing:', {
         fileName,
         fileId,
-        error: processError.message
+        kind: error.kind,
+        attempts,
+        error: error.message
       });
       
-      // For certain errors, mark as processed to avoid infinite retries
-      const msg = String(processError?.message ?? '');
-      if (msg.includes('PDF too large') || msg.includes('timeout') || msg.includes('400 Bad Request') || msg.includes('rate limit') || msg.includes('429')) {
-        console.log('💀 Marking file as processed due to permanent/rate-limit error');
-        processedFileSet.add(fileId);
-        processedFileNames.add(fileName.toLowerCase());
+      const decision = getRetryDecision(error, attempts);
+      if (!decision.retry) {
+        console.log(`💀 Dead-lettering ${fileName} after ${attempts} attempt(s) (${error.kind})`);
+        await stateStore.upsert(fileId, {
+          status: 'failed',
+          lastError: error.message,
+          errorKind: error.kind,
+          processedAt: new Date().toISOString()
+        });
         totalFilesProcessed++;
-        
-        // Queue error record for batch processing
-        queueFileForSheet(fileId, fileName + ' (ERROR: ' + msg + ')');
-      } else {
-        console.log('⚠️  Continuing with next file...');
+        return 'failed';
       }
+
+      // Redeliveries before this are turned away by the claim, so they cost no attempt
+      await stateStore.upsert(fileId, {
+        status: 'pending',
+        lastError: error.message,
+        errorKind: error.kind,
+        nextAttemptAt: new Date(Date.now() + decision.delayMs).toISOString()
+      });
+      console.log(`🔁 Retrying ${fileName} in ${Math.round(decision.delayMs / 1000)}s (${error.kind})`);
+      return 'retry';
     }
   } finally {
     releaseProcessing();
   }
 }
 
+// Retries are kept in the state store (nextAttemptAt) and run by this sweeper.
+// Queued files are also nacked until then; whichever comes first claims the file
+const RETRY_SCAN_INTERVAL = parseInt(process.env.RETRY_SCAN_INTERVAL) || 30000; // 30 seconds
+let retryTimer = null;
+let isRetrying = false;
+
+function fileFromRecord(record) {
+  return {
+    id: record.fileId,
+    name: record.fileName,
+    mimeType: record.mimeType,
+    relativePath: record.relativePath
+  };
+}
+
+// Run the retries that are due
+async function processDueRetries() {
+  if (isRetrying || !isInitialized) return;
+  isRetrying = true;
+
+  try {
+    const due = await stateStore.listDue({ limit: MAX_CONCURRENT_PROCESSING * 2 });
+    if (due.length === 0) return;
+    console.log(`🔁 Retrying ${due.length} file(s)...`);
+    await Promise.all(due.map(record => processFileFromDrive(fileFromRecord(record))));
+  } catch (error) {
+    console.error('❌ Error processing due retries:', error?.message ?? error);
+  } finally {
+    isRetrying = false;
+  }
+}
+
 // Setup batch processing from Google Drive
 function setupBatchProcessing() {
   console.log('🚀 Starting batch processing from Google Drive folder...');
   
   // Start batch processing
   processBatch();
-  
-  // Add graceful shutdown handling
-  process.on('SIGINT', () => {
-    console.log('\n🛑 Received SIGINT, shutting down gracefully...');
-    gracefulShutdown();
-  });
-  
-  process.on('SIGTERM', () => {
-    console.log('\n🛑 Received SIGTERM, shutting down gracefully...');
-    gracefulShutdown();
+}
+
+// Queue consumption statistics
+const queueStats = { received: 0, acked: 0, nacked: 0, invalid: 0, inFlight: 0 };
+let transport = null;
+let closeSubscription = null;
+
+// Turn a decoded file message into the Drive file shape processFile expects
+function fileFromMessage(message) {
+  return {
+    id: message.fileId,
+    name: message.fileName,
+    mimeType: message.mimeType,
+    size: message.size,
+    modifiedTime: message.modifiedTime,
+    relativePath: message.relativePath,
+    traceId: message.traceId
+  };
+}
+
+// How long a nacked message should wait: until its scheduled retry, or a short
+// while when another delivery is processing the file
+async function redeliveryDelay(fileId, outcome) {
+  if (outcome === 'in-progress') return RETRY_POLICIES.transient.baseDelayMs;
+  const record = await stateStore.get(fileId);
+  return record?.nextAttemptAt ? Math.max(Date.parse(record.nextAttemptAt) - Date.now(), 0) : 0;
+}
+
+// Decode and process one queued message.
+// Returns { ack: true }, or { ack: false, delayMs } to redeliver it after delayMs.
+async function handleFileMessage(rawMessage) {
+  queueStats.received++;
+  let message;
+  try {
+    message = decodeFileMessage(rawMessage);
+  } catch (decodeError) {
+    // A malformed message will never succeed, so ack it instead of redelivering forever
+    console.error('❌ Dropping invalid message:', decodeError.message);
+    queueStats.invalid++;
+    return { ack: true };
+  }
+
+  console.log(`📨 Message for ${message.relativePath} (${message.fileId}) trace ${message.traceId}`);
+  queueStats.inFlight++;
+  try {
+    const file = fileFromMessage(message);
+    // Legacy messages carry only the file ID and name
+    if (!file.mimeType) {
+      const res = await drive.files.get({ fileId: file.id, fields: 'mimeType, size', supportsAllDrives: true });
+      Object.assign(file, res.data);
+    }
+    // Pub/Sub stays the source of truth for retries: the local store is lost when a
+    // Cloud Run instance goes away, so only a file that is done, skipped or
+    // dead-lettered is acked; retries and files claimed by another delivery are nacked
+    const outcome = await processFileFromDrive(file);
+    if (outcome !== 'retry' && outcome !== 'in-progress') return { ack: true };
+    return { ack: false, delayMs: await redeliveryDelay(file.id, outcome) };
+  } catch (error) {
+    console.error(`❌ Unexpected error handling message for ${message.fileId}:`, error?.message ?? error);
+    return { ack: false, delayMs: RETRY_POLICIES.transient.baseDelayMs };
+  } finally {
+    queueStats.inFlight--;
+  }
+}
+
+// Streaming pull; flow control keeps at most MAX_CONCURRENT_PROCESSING messages outstanding
+async function setupQueueProcessing() {
+  transport = createTransport(process.env.MESSAGE_TRANSPORT, {
+    createPubSubClient: () => new PubSub({ projectId: PROJECT_ID }),
+    subscriptionName: PUBSUB_SUBSCRIPTION
   });
+  console.log(`🚀 Consuming file messages from ${transport.type} transport...`);
+
+  closeSubscription = await transport.subscribe(async (message) => {
+    const { ack, delayMs } = await handleFileMessage(message);
+    if (ack) {
+      queueStats.acked++;
+      message.ack();
+    } else {
+      queueStats.nacked++;
+      message.nack({ delayMs });
+    }
+  }, { maxMessages: MAX_CONCURRENT_PROCESSING });
+}
+
+function startProcessing() {
+  retryTimer = setInterval(processDueRetries, RETRY_SCAN_INTERVAL);
+  switch (SUBSCRIBER_MODE) {
+    case 'scan':
+      setupBatchProcessing();
+      break;
+    case 'pull':
+      return setupQueueProcessing();
+    case 'push':
+      console.log('🚀 Waiting for Pub/Sub push deliveries on POST /pubsub/push...');
+      break;
+  }
 }
 
+// Add graceful shutdown handling
+process.on('SIGINT', () => {
+  console.log('\n🛑 Received SIGINT, shutting down gracefully...');
+  gracefulShutdown();
+});
+
+process.on('SIGTERM', () => {
+  console.log('\n🛑 Received SIGTERM, shutting down gracefully...');
+  gracefulShutdown();
+});
+
 // Graceful shutdown function
 async function gracefulShutdown() {
   console.log('📊 Final Statistics:');
   console.log(`   Total files found: ${allFiles.length}`);
   console.log(`   Current batch: ${currentBatchIndex + 1}`);
-  console.log(`   Processed files count: ${processedFileSet.size}`);
+  console.log('   Files by status:', await stateStore.counts());
   
   console.log('🔄 Waiting for current processing to complete...');
+
+  // Stop receiving new messages and retries; in-flight ones are finished below
+  if (closeSubscription) await closeSubscription();
+  clearInterval(retryTimer);
   
   // Wait for current processing to finish
-  while (isProcessing) {
+  while (isProcessing || isRetrying || queueStats.inFlight > 0) {
     await new Promise(resolve => setTimeout(resolve, 1000));
-    console.log(`   Still processing batch ${currentBatchIndex + 1}...`);
+    if (isProcessing) console.log(`   Still processing batch ${currentBatchIndex + 1}...`);
+    else if (isRetrying) console.log('   Still processing retries...');
+    else console.log(`   Still processing ${queueStats.inFlight} queued messages...`);
   }
   
-  // Flush any remaining queued sheet writes
-  if (sheetWriteQueue.length > 0) {
-    console.log(`📊 Flushing ${sheetWriteQueue.length} remaining sheet entries...`);
-    await flushSheetQueue();
-  }
+  // Export any remaining records to the sheet
+  console.log('📊 Exporting remaining records to sheet...');
+  await sheetExporter.exportAll();
+  await stateStore.close();
+  if (geminiSemaphore.close) await geminiSemaphore.close();
   
   console.log('✅ All processing completed.');
   console.log('👋 Shutdown complete.');
@@ -349,12 +476,17 @@ async function initializeApp() {
   authClient = await auth.getClient();
   drive = google.drive({ version: 'v3', auth: authClient });
 
-  await loadProcessedFiles();
+  // Records from before the state store existed only live in the ProcessedFiles sheet
+  try {
+    await sheetExporter.importLegacyRows();
+  } catch (err) {
+    console.error('❌ Error importing processed files from sheet:', err?.message ?? err);
+  }
 
   try {
     propertyData = await getPropertyData(SPREADSHEET_ID, PROPERTY_SHEET_NAME, credentials);
-    // Populate the propertyMap for substring matching
-    populatePropertyMap(propertyData);
+    // Build the property matcher and retrieval index
+    populateProperties(propertyData);
   } catch (err) {
     console.error('Failed to load property data:', err);
     propertyData = [];
@@ -364,12 +496,43 @@ async function initializeApp() {
   mainDestinationFolderId = await getOrCreateDestinationFolder(drive);
   console.log(`Main destination folder ID: ${mainDestinationFolderId}`);
 
-  console.log('Setup complete. Starting subscriber...');
+  if (REVIEW_ENABLED) {
+    reviewFolderId = await getOrCreateDestinationFolder(drive, REVIEW_FOLDER_NAME);
+    console.log(`Review folder ID: ${reviewFolderId}`);
+  }
+
+  console.log(`Setup complete. Starting subscriber in ${SUBSCRIBER_MODE} mode...`);
+  isInitialized = true;
 
-  setupBatchProcessing();
-  console.log('Batch processing is now running.');
+  await startProcessing();
+  console.log('Processing is now running.');
 }
 
+app.use(express.json());
+
+// Pub/Sub push endpoint: 2xx acks the delivery, anything else makes Pub/Sub retry it.
+// A push cannot be delayed; redeliveries before a file's scheduled retry are nacked
+// without processing it, and the subscription's retry policy spaces them out
+app.post('/pubsub/push', async (req, res) => {
+  if (SUBSCRIBER_MODE !== 'push') {
+    return res.status(404).send('Push delivery is not enabled');
+  }
+  if (PUSH_VERIFICATION_TOKEN && req.query.token !== PUSH_VERIFICATION_TOKEN) {
+    return res.status(403).send('Invalid push token');
+  }
+  if (!isInitialized) {
+    return res.status(503).send('Subscriber is still initializing');
+  }
+
+  const { ack } = await handleFileMessage(req.body);
+  if (ack) {
+    queueStats.acked++;
+    return res.status(204).send();
+  }
+  queueStats.nacked++;
+  res.status(500).send('Processing failed, retry later');
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).send('OK');
@@ -378,14 +541,16 @@ app.get('/health', (req, res) => {
 // Status endpoint
 app.get('/status', async (req, res) => {
   try {
+    const counts = await stateStore.counts();
     res.json({
       status: 'healthy',
       statistics: {
         totalFilesFound: allFiles.length,
         currentBatch: currentBatchIndex + 1,
         totalBatches: Math.ceil(allFiles.length / BATCH_SIZE),
-        processedFilesCount: processedFileSet.size,
-        progress: allFiles.length > 0 ? `${Math.round((processedFileSet.size / allFiles.length) * 100)}%` : '0%'
+        processedFilesCount: counts.done + counts.failed + counts.review,
+        filesByStatus: counts,
+        progress: allFiles.length > 0 ? `${Math.round(((counts.done + counts.failed + counts.review) / allFiles.length) * 100)}%` : '0%'
       },
       status: {
         isProcessing,
@@ -399,9 +564,18 @@ app.get('/status', async (req, res) => {
         limit: MAX_GEMINI_CONCURRENT,
         available: await geminiSemaphore.getAvailablePermits(),
         currentUsage: await geminiSemaphore.getCurrentUsage(),
-        type: 'local'
+        type: geminiSemaphore.type,
+        redisConnected: geminiSemaphore.isRedisConnected(),
+        redis: geminiSemaphore.getRedisConfig()
       },
-      processingType: 'batch-drive-folder'
+      llmRateLimits: llmRateLimiter.getStatus(),
+      llm: llmClient.getStatus(),
+      stateStore: stateStore.type,
+      processingType: SUBSCRIBER_MODE === 'scan' ? 'batch-drive-folder' : `queue-${SUBSCRIBER_MODE}`,
+      queue: {
+        transport: transport?.type ?? (SUBSCRIBER_MODE === 'push' ? 'pubsub-push' : null),
+        ...queueStats
+      }
     });
   } catch (error) {
     res.status(500).json({
@@ -411,6 +585,241 @@ app.get('/status', async (req, res) => {
   }
 });
 
+// Search processed files by name, property, year and title block (?q=&status=&property=&year=&discipline=)
+app.get('/files', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const offset = parseInt(req.query.offset) || 0;
+    const { q: query, status, property, year, discipline } = req.query;
+    const files = await stateStore.search({ query, status, property, year, discipline, limit, offset });
+    res.json({ limit, offset, files });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/files/:fileId', async (req, res) => {
+  try {
+    const record = await stateStore.get(req.params.fileId);
+    if (!record) return res.status(404).json({ error: 'File not found' });
+    res.json(record);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Review console and dead-letter routes can re-file, trash or re-queue files,
+// so REVIEW_CONSOLE_TOKEN (when set) guards both
+function requireReviewToken(req, res, next) {
+  if (REVIEW_CONSOLE_TOKEN && (req.get('X-Review-Token') || req.query.token) !== REVIEW_CONSOLE_TOKEN) {
+    return res.status(403).json({ error: 'Invalid review token' });
+  }
+  next();
+}
+
+// Dead-lettered files: out of retry attempts or failed with a permanent error
+app.get('/dead-letter', requireReviewToken, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const offset = parseInt(req.query.offset) || 0;
+    const files = await stateStore.list({ status: 'failed', limit, offset });
+    const counts = await stateStore.counts();
+    res.json({ total: counts.failed, limit, offset, files });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Review console (public/review.html) and its API
+
+// Files a reviewer can resolve: queued for review, or filed as Unidentified
+function isReviewable(record) {
+  return record.status === 'review' || (record.status === 'done' && record.property === 'Unidentified');
+}
+
+app.get('/review-console', (req, res) => {
+  res.sendFile(path.join(__dirname, 'public', 'review.html'));
+});
+
+// Files whose property or year was too uncertain to file automatically (?state=review|unidentified)
+app.get('/review', requireReviewToken, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const offset = parseInt(req.query.offset) || 0;
+    const state = req.query.state || 'review';
+    if (state === 'unidentified') {
+      const files = await stateStore.search({ status: 'done', property: 'Unidentified', limit, offset });
+      return res.json({ state, limit, offset, files });
+    }
+    if (state !== 'review') return res.status(400).json({ error: `Unknown review state: ${state}` });
+
+    const files = await stateStore.list({ status: 'review', limit, offset });
+    const counts = await stateStore.counts();
+    res.json({ state, total: counts.review, thresholds: REVIEW_THRESHOLDS, limit, offset, files });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/review/properties', requireReviewToken, (req, res) => {
+  res.json({ properties: listPropertyRecords().map(p => ({ name: p.name, code: p.code, status: p.status, aliases: p.aliases })) });
+});
+
+// Reviewer corrections, e.g. to add filename patterns as property aliases
+app.get('/review/corrections', requireReviewToken, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+    const offset = parseInt(req.query.offset) || 0;
+    const corrections = await stateStore.listCorrections({ property: req.query.property || null, limit, offset });
+    res.json({ limit, offset, corrections });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Drive thumbnail of the original file, fetched with the service account
+app.get('/review/:fileId/thumbnail', requireReviewToken, async (req, res) => {
+  if (!isInitialized) return res.status(503).json({ error: 'Subscriber is still initializing' });
+  try {
+    const { data } = await drive.files.get({ fileId: req.params.fileId, fields: 'thumbnailLink', supportsAllDrives: true });
+    if (!data.thumbnailLink) return res.status(404).json({ error: 'No thumbnail available' });
+
+    const image = await authClient.request({ url: data.thumbnailLink.replace(/=s\d+$/, '=s400'), responseType: 'arraybuffer' });
+    res.set('Content-Type', image.headers['content-type'] || 'image/png');
+    res.set('Cache-Control', 'private, max-age=300');
+    res.send(Buffer.from(image.data));
+  } catch (error) {
+    res.status(error.code === 404 ? 404 : 500).json({ error: error.message });
+  }
+});
+
+// Confirm a property and year: files the drawing and records the correction
+app.post('/review/:fileId/resolve', requireReviewToken, async (req, res) => {
+  if (!isInitialized) return res.status(503).json({ error: 'Subscriber is still initializing' });
+  try {
+    const requested = String(req.body?.property || '').trim().toLowerCase();
+    const property = listPropertyRecords().find(p => p.name.toLowerCase() === requested);
+    if (!property) return res.status(400).json({ error: `Unknown property: ${req.body?.property}` });
+    const year = String(req.body?.year || '').trim();
+    if (!/^\d{4}$/.test(year) && year !== 'Unknown_Year') {
+      return res.status(400).json({ error: 'Year must be four digits or Unknown_Year' });
+    }
+
+    // Claimed atomically ('processing') so a double submit or a second reviewer
+    // cannot file the drawing twice
+    let previousStatus = null;
+    const claim = await stateStore.claimIf(req.params.fileId, (current) => {
+      previousStatus = current?.status ?? null;
+      return Boolean(current && isReviewable(current));
+    }, { status: 'processing' });
+    const record = claim.record;
+    if (!record) return res.status(404).json({ error: 'File not found' });
+    if (!claim.claimed) {
+      const error = record.status === 'processing'
+        ? 'File is already being resolved or processed'
+        : `File is not awaiting review (status: ${record.status}, property: ${record.property})`;
+      return res.status(409).json({ error });
+    }
+
+    let placed;
+    try {
+      placed = await moveFileToOrganizedFolder(drive, record.fileId, property, year, mainDestinationFolderId, record.titleBlock);
+    } catch (error) {
+      // Nothing was filed, so it is back to awaiting review
+      await stateStore.upsert(record.fileId, { status: previousStatus });
+      throw error;
+    }
+    // The copy or shortcut in the review folder (or under Unidentified) is replaced by the filed one;
+    // a moved original has just been moved again
+    if (record.destinationFileId && record.destinationFileId !== record.fileId && record.destinationFileId !== placed.fileId) {
+      try {
+        await drive.files.update({ fileId: record.destinationFileId, requestBody: { trashed: true }, supportsAllDrives: true });
+      } catch (error) {
+        console.warn(`⚠️  Could not trash previous copy ${record.destinationFileId}:`, error.message);
+      }
+    }
+
+    const updated = await stateStore.upsert(record.fileId, {
+      status: 'done',
+      property: property.name,
+      year,
+      propertyConfidence: 1,
+      propertyMethod: 'review',
+      yearConfidence: 1,
+      yearMethod: 'review',
+      reviewReasons: null,
+      destinationFileId: placed.fileId,
+      organizeMode: placed.mode,
+      destinationName: placed.name,
+      processedAt: new Date().toISOString()
+    });
+    await stateStore.addCorrection({
+      fileId: record.fileId,
+      fileName: record.fileName,
+      relativePath: record.relativePath,
+      previousProperty: record.property,
+      property: property.name,
+      previousYear: record.year,
+      year,
+      reviewer: req.body?.reviewer || null
+    });
+    console.log(`🧑‍⚖️ Review resolved ${record.fileName}: ${record.property}/${record.year} -> ${property.name}/${year}`);
+    res.json(updated);
+  } catch (error) {
+    console.error('❌ Error resolving review:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Give a dead-lettered file a fresh set of attempts
+async function requeueDeadLetter(record) {
+  return stateStore.upsert(record.fileId, {
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: new Date().toISOString()
+  });
+}
+
+app.post('/dead-letter/:fileId/requeue', requireReviewToken, async (req, res) => {
+  try {
+    const record = await stateStore.get(req.params.fileId);
+    if (!record) return res.status(404).json({ error: 'File not found' });
+    if (record.status !== 'failed') {
+      return res.status(409).json({ error: `File is not dead-lettered (status: ${record.status})` });
+    }
+
+    const updated = await requeueDeadLetter(record);
+    console.log(`🔁 Re-queued dead-lettered file ${record.fileName} (${record.fileId})`);
+    processDueRetries();
+    res.status(202).json(updated);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Re-queue every dead-lettered file, optionally only one error kind (?errorKind=rate_limited)
+app.post('/dead-letter/requeue', requireReviewToken, async (req, res) => {
+  try {
+    const errorKind = req.query.errorKind || null;
+    // Collect first: requeued records leave the 'failed' status and would shift the pages
+    const targets = [];
+    for (let offset = 0; ; offset += 500) {
+      const page = await stateStore.list({ status: 'failed', limit: 500, offset });
+      targets.push(...page.filter(record => !errorKind || record.errorKind === errorKind));
+      if (page.length < 500) break;
+    }
+    for (const record of targets) {
+      await requeueDeadLetter(record);
+    }
+
+    console.log(`🔁 Re-queued ${targets.length} dead-lettered file(s)`);
+    processDueRetries();
+    res.status(202).json({ requeued: targets.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Start the server
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`Subscriber service listening on port ${PORT}`);
@@ -0,0 +1,139 @@
+// llmClient.js (CommonJS)
+//
+// Runs named LLM tasks. Each task has its own provider, model, timeout and
+// generation config; every call goes through the rate limiter and the
+// concurrency semaphore.
+//
+// Task settings come from LLM_<TASK>_PROVIDER / _MODEL / _TIMEOUT_MS /
+// _GENERATION_CONFIG (JSON), e.g. LLM_TITLE_BLOCK_MODEL=gemini-2.5-pro.
+// LLM_PROVIDER sets the provider for tasks that do not override it.
+
+const { createLlmProvider } = require('./llmProviders');
+const { TransientError, classifyError } = require('./errors');
+
+const TASK_DEFAULTS = {
+  // Pick the property a filename refers to
+  propertyId: {
+    model: 'gemini-2.5-flash-lite',
+    timeoutMs: 30000,
+    generationConfig: { temperature: 0.0 }
+  },
+  // Read the title block (project, drawing number, dates, ...) from a PDF or image
+  titleBlock: {
+    model: 'gemini-2.5-flash',
+    timeoutMs: 30000,
+    generationConfig: { temperature: 0.0, topK: 1, topP: 0.1, candidateCount: 1 }
+  }
+};
+
+// propertyId -> PROPERTY_ID
+function envPrefix(task) {
+  return `LLM_${task.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase()}_`;
+}
+
+function parseGenerationConfig(task, value) {
+  if (!value) return {};
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw new Error(`Invalid JSON in ${envPrefix(task)}GENERATION_CONFIG: ${error.message}`);
+  }
+}
+
+function getTaskConfigs(env = process.env) {
+  const configs = {};
+  for (const [task, defaults] of Object.entries(TASK_DEFAULTS)) {
+    const prefix = envPrefix(task);
+    configs[task] = {
+      provider: env[`${prefix}PROVIDER`] || env.LLM_PROVIDER || 'gemini',
+      model: env[`${prefix}MODEL`] || defaults.model,
+      timeoutMs: parseInt(env[`${prefix}TIMEOUT_MS`]) || defaults.timeoutMs,
+      generationConfig: { ...defaults.generationConfig, ...parseGenerationConfig(task, env[`${prefix}GENERATION_CONFIG`]) }
+    };
+  }
+  return configs;
+}
+
+class LlmClient {
+  /**
+   * @param {object} options - { semaphore, rateLimiter, tasks, providers }
+   *   providers: optional { [name]: provider } instances, e.g. a MockProvider in tests
+   */
+  constructor({ semaphore = null, rateLimiter = null, tasks = getTaskConfigs(), providers = {} } = {}) {
+    this.semaphore = semaphore;
+    this.rateLimiter = rateLimiter;
+    this.tasks = tasks;
+    this.providers = new Map(Object.entries(providers));
+    // Create providers up front so missing keys fail at startup, not per file
+    for (const config of Object.values(tasks)) this.getProvider(config.provider);
+  }
+
+  getProvider(name) {
+    if (!this.providers.has(name)) this.providers.set(name, createLlmProvider(name));
+    return this.providers.get(name);
+  }
+
+  /**
+   * Run a task
+   * @param {string} task - Task name (see TASK_DEFAULTS)
+   * @param {object} input - { prompt, file: { mimeType, data (base64), name } | null, responseSchema }
+   * @returns {Promise<string>} - Trimmed response text
+   */
+  async run(task, { prompt, file = null, responseSchema = null }) {
+    const config = this.tasks[task];
+    if (!config) throw new Error(`Unknown LLM task: ${task}`);
+
+    const provider = this.getProvider(config.provider);
+    const request = {
+      task,
+      model: config.model,
+      prompt,
+      file,
+      generationConfig: config.generationConfig,
+      timeoutMs: config.timeoutMs,
+      responseSchema
+    };
+
+    // Wait for RPM/TPM budget before taking a concurrency permit
+    const rateLimit = this.rateLimiter ? await this.rateLimiter.acquire(config.provider, config.model, request) : null;
+
+    let release = null;
+    if (this.semaphore) {
+      try {
+        release = await this.semaphore.acquire();
+        console.log(`[${task}] Acquired LLM semaphore, current usage: ${await this.semaphore.getCurrentUsage()}`);
+      } catch (error) {
+        console.error(`[${task}] Failed to acquire LLM semaphore:`, error.message);
+        throw new TransientError(`LLM semaphore acquisition failed: ${error.message}`, { cause: error });
+      }
+    }
+
+    try {
+      const result = await provider.generate(request);
+      rateLimit?.complete(result.usage);
+      return String(result.text ?? '').trim();
+    } catch (error) {
+      const typedError = classifyError(error);
+      rateLimit?.fail(typedError);
+      console.error(`[${task}] ${provider.name} ${config.model} request failed:`, typedError.message);
+      throw typedError;
+    } finally {
+      if (release) release();
+    }
+  }
+
+  // Task settings without secrets, for /status
+  getStatus() {
+    return Object.fromEntries(Object.entries(this.tasks).map(([task, c]) => [task, {
+      provider: c.provider,
+      model: c.model,
+      timeoutMs: c.timeoutMs
+    }]));
+  }
+}
+
+module.exports = {
+  LlmClient,
+  TASK_DEFAULTS,
+  getTaskConfigs
+};
@@ -0,0 +1,208 @@
+// llmProviders.js (CommonJS)
+//
+// LLM backends behind one interface:
+//   generate(request) -> Promise<{ text, usage: { totalTokenCount } }>
+// where request is
+//   { task, model, prompt, file: { mimeType, data (base64), name } | null,
+//     generationConfig, timeoutMs, responseSchema }
+// generationConfig uses Gemini field names (temperature, topK, topP,
+// maxOutputTokens, candidateCount); other providers map what they support.
+// responseSchema (optional) asks for JSON matching an OpenAPI-style schema
+// (Gemini's responseSchema format; `nullable` marks optional values).
+// Errors are thrown as ProcessingError subclasses (see errors.js).
+
+const fs = require('fs');
+const fetch = require('node-fetch');
+const { TimeoutError, RateLimitError, errorFromResponse, classifyError } = require('./errors');
+
+// Gemini reports the wait in a RetryInfo detail, e.g. { retryDelay: "30s" }
+function retryDelayFromDetails(errorDetails) {
+  const retryInfo = (errorDetails || []).find(d => String(d['@type'] || '').endsWith('RetryInfo'));
+  const seconds = parseFloat(retryInfo?.retryDelay);
+  return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+// OpenAPI-style schema -> JSON Schema (nullable becomes a "null" type)
+function toJsonSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const { nullable, properties, items, ...rest } = schema;
+  const converted = { ...rest };
+  if (nullable) converted.type = [rest.type, 'null'];
+  if (properties) {
+    converted.properties = Object.fromEntries(Object.entries(properties).map(([k, v]) => [k, toJsonSchema(v)]));
+  }
+  if (items) converted.items = toJsonSchema(items);
+  return converted;
+}
+
+// Run fn(signal), turning an abort after timeoutMs into a TimeoutError
+async function withTimeout(label, timeoutMs, fn) {
+  const controller = new AbortController();
+  const timeoutId = timeoutMs ? setTimeout(() => controller.abort(), timeoutMs) : null;
+  try {
+    return await fn(controller.signal);
+  } catch (error) {
+    if (controller.signal.aborted) throw new TimeoutError(`${label} timed out after ${timeoutMs}ms`, { cause: error });
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+class GeminiProvider {
+  constructor({ apiKey = process.env.GEMINI_API_KEY } = {}) {
+    if (!apiKey) throw new Error('GEMINI_API_KEY is required for the gemini LLM provider');
+    // Loaded lazily so the other providers work without the SDK installed
+    const { GoogleGenerativeAI } = require('@google/generative-ai');
+    this.name = 'gemini';
+    this.client = new GoogleGenerativeAI(apiKey);
+  }
+
+  async generate({ model, prompt, file, generationConfig, timeoutMs, responseSchema }) {
+    const parts = [{ text: prompt }];
+    if (file) parts.push({ inlineData: { mimeType: file.mimeType, data: file.data } });
+
+    const generativeModel = this.client.getGenerativeModel({
+      model,
+      generationConfig: responseSchema
+        ? { ...generationConfig, responseMimeType: 'application/json', responseSchema }
+        : generationConfig
+    });
+    try {
+      const result = await withTimeout(`Gemini ${model}`, timeoutMs, signal =>
+        generativeModel.generateContent({ contents: [{ role: 'user', parts }] }, { signal })
+      );
+      return {
+        text: result.response.text(),
+        usage: { totalTokenCount: result.response.usageMetadata?.totalTokenCount }
+      };
+    } catch (error) {
+      if (error.status === 429) {
+        throw new RateLimitError(error.message, { cause: error, status: 429, retryAfterMs: retryDelayFromDetails(error.errorDetails) });
+      }
+      throw classifyError(error);
+    }
+  }
+}
+
+/**
+ * Any server implementing the OpenAI chat completions API (OpenAI, vLLM,
+ * Ollama, LiteLLM, ...). Files are sent as image_url (images) or file parts.
+ */
+class OpenAICompatibleProvider {
+  constructor({ baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1', apiKey = process.env.OPENAI_API_KEY } = {}) {
+    this.name = 'openai';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+  }
+
+  async generate({ task, model, prompt, file, generationConfig = {}, timeoutMs, responseSchema }) {
+    const content = [{ type: 'text', text: prompt }];
+    if (file) {
+      const dataUrl = `data:${file.mimeType};base64,${file.data}`;
+      content.push(file.mimeType.startsWith('image/')
+        ? { type: 'image_url', image_url: { url: dataUrl } }
+        : { type: 'file', file: { filename: file.name || 'document', file_data: dataUrl } });
+    }
+
+    const body = {
+      model,
+      messages: [{ role: 'user', content }],
+      temperature: generationConfig.temperature,
+      top_p: generationConfig.topP,
+      max_tokens: generationConfig.maxOutputTokens,
+      n: generationConfig.candidateCount,
+      response_format: responseSchema
+        ? { type: 'json_schema', json_schema: { name: task, schema: toJsonSchema(responseSchema) } }
+        : undefined
+    };
+
+    try {
+      return await withTimeout(`OpenAI-compatible ${model}`, timeoutMs, async signal => {
+        const res = await fetch(`${this.baseUrl}/chat/completions`, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json',
+            ...(this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {})
+          },
+          body: JSON.stringify(body),
+          signal
+        });
+        if (!res.ok) throw errorFromResponse('OpenAI-compatible API', res, await res.text());
+
+        const data = await res.json();
+        return {
+          text: data?.choices?.[0]?.message?.content ?? '',
+          usage: { totalTokenCount: data?.usage?.total_tokens }
+        };
+      });
+    } catch (error) {
+      throw classifyError(error);
+    }
+  }
+}
+
+/**
+ * Deterministic offline provider. Replays responses from a fixtures file
+ * (MOCK_LLM_FIXTURES, see mockLlmFixtures.example.json):
+ *   { "responses": [{ "task", "match", "text" (string or JSON object) | "error": { "status", "retryAfterMs" } }],
+ *     "defaults": { "<task>": "text" } }
+ * The first response whose task matches (when given) and whose `match`
+ * appears in the prompt or file name (case-insensitive) wins.
+ */
+class MockProvider {
+  constructor({ fixtures = null, fixturesPath = process.env.MOCK_LLM_FIXTURES } = {}) {
+    this.name = 'mock';
+    this.fixtures = fixtures || (fixturesPath ? JSON.parse(fs.readFileSync(fixturesPath, 'utf8')) : {});
+    // Every request, for assertions in tests
+    this.calls = [];
+  }
+
+  findResponse({ task, prompt, file }) {
+    const haystack = `${prompt}\n${file?.name || ''}`.toLowerCase();
+    return (this.fixtures.responses || []).find(r =>
+      (!r.task || r.task === task) && (!r.match || haystack.includes(String(r.match).toLowerCase()))
+    );
+  }
+
+  async generate(request) {
+    this.calls.push(request);
+    const response = this.findResponse(request);
+
+    if (response?.error) {
+      const status = response.error.status || 500;
+      const res = { status, headers: { get: () => null } };
+      const error = errorFromResponse('Mock LLM', res, response.error.message || 'mock error');
+      if (error instanceof RateLimitError) error.retryAfterMs = response.error.retryAfterMs ?? null;
+      throw error;
+    }
+
+    let text = response?.text ?? this.fixtures.defaults?.[request.task] ?? 'UNKNOWN';
+    // Structured answers can be written as JSON objects in the fixtures
+    if (typeof text === 'object') text = JSON.stringify(text);
+    return { text, usage: { totalTokenCount: Math.ceil((request.prompt.length + text.length) / 4) } };
+  }
+}
+
+/**
+ * @param {string} name - gemini | openai | mock
+ */
+function createLlmProvider(name) {
+  switch (name) {
+    case 'gemini':
+      return new GeminiProvider();
+    case 'openai':
+      return new OpenAICompatibleProvider();
+    case 'mock':
+      return new MockProvider();
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+module.exports = {
+  GeminiProvider,
+  OpenAICompatibleProvider,
+  MockProvider,
+  createLlmProvider
+};
@@ -0,0 +1,129 @@
+// metadataRules.js (CommonJS)
+//
+// Rule-based title-block extraction from plain text (a PDF text layer or OCR
+// output). Finds labelled fields ("SHEET NO: L-101", "SCALE: 1" = 20'"),
+// dates and revision-table rows, and returns the same validated shape as the
+// LLM extraction (see titleBlock.js) with confidences set by how the value
+// was found.
+
+const { validateTitleBlock, normalizeDate, MONTH_NAME_SOURCE } = require('./titleBlock');
+
+const DATE_SOURCE = [
+  '\\d{4}-\\d{1,2}-\\d{1,2}',
+  '\\d{1,2}[/.-]\\d{1,2}[/.-](?:\\d{4}|\\d{2})',
+  `${MONTH_NAME_SOURCE}\\s+\\d{1,2},?\\s+\\d{4}`,
+  `\\d{1,2}\\s+${MONTH_NAME_SOURCE}\\s+\\d{4}`
+].join('|');
+const DATE_PATTERN = new RegExp(`(?<![\\d/.-])(?:${DATE_SOURCE})(?![\\d/.-])`, 'gi');
+
+// Confidence by how a value was found
+const CONFIDENCE = {
+  labelled: 0.85,
+  labelledDate: 0.9,
+  revisionRow: 0.8,
+  // Below the review threshold: these may be plot stamps rather than issue dates
+  bareDateLabel: 0.5,
+  onlyDate: 0.5
+};
+
+// Label patterns; the value is the rest of the line up to a column gap
+const LABELS = {
+  projectName: /\b(?:project(?:\s+name)?|job(?:\s+name)?)\s*[:#]\s*(.+)/i,
+  address: /\b(?:site\s+address|project\s+address|address|location)\s*[:#]\s*(.+)/i,
+  drawingNumber: /\b(?:sheet|drawing|dwg)\.?\s*(?:no\.?|number|#)\s*[:#]?\s*([A-Z]{0,3}[-.]?\s?\d{1,3}(?:\.\d{1,2})?[A-Z]?)\b/i,
+  sheetTitle: /\b(?:sheet|drawing)\s+title\s*[:#]?\s*(.+)/i,
+  designer: /\b(?:designed\s+by|prepared\s+by|landscape\s+architect|architect|engineer|designer)\s*[:#]\s*(.+)/i,
+  scale: /\bscale\s*[:#]?\s*((?:\d|nts\b|not\s+to\s+scale|as\s+(?:noted|shown)).*)/i,
+  issueDate: /\b(?:issue\s+date|date\s+issued|issued(?:\s+for\s+\w+)?)\s*[:#]?\s*(.+)/i
+};
+
+// A plain "DATE:" is often when the sheet was plotted; plot and print stamps are never used
+const BARE_DATE_LABEL = /(?<!\b(?:plot(?:ted)?|print(?:ed)?|saved|rev(?:ision)?\.?)\s*)\bdate\s*[:#]?\s*(.+)/i;
+
+// "REV 2  05/02/2019  PERMIT COMMENTS", "△1 3/4/19 ISSUED FOR BID"
+const REVISION_ROW = new RegExp(`^\\s*(?:rev(?:ision)?\\.?\\s*|[△▲Δ]\\s*)?([A-Z]?\\d{1,2}|[A-Z])\\s+(${DATE_SOURCE})\\s+(.{3,})$`, 'i');
+
+function columnValue(text) {
+  // Title blocks are laid out in columns; stop at the first wide gap
+  return text.split(/\s{3,}|\t/)[0].trim();
+}
+
+function findDates(text) {
+  return Array.from(text.matchAll(DATE_PATTERN), m => m[0]).filter(d => normalizeDate(d));
+}
+
+/**
+ * Extract a title block from text with rules
+ * @param {string} text - Page text
+ * @param {object} options - { confidenceScale }: multiplier for all confidences, e.g. below 1 for OCR text
+ * @returns {object|null} - Validated title block, or null if nothing was found
+ */
+function extractTitleBlockFromText(text, { confidenceScale = 1 } = {}) {
+  const lines = String(text || '').split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const raw = { revisions: [] };
+  const seenRevisions = new Set();
+  let bareDate = null;
+  let found = 0;
+
+  for (const line of lines) {
+    const revision = line.match(REVISION_ROW);
+    if (revision) {
+      // Overlapping OCR regions can read the same row twice
+      const key = `${revision[1]}|${revision[2]}`.toLowerCase();
+      if (seenRevisions.has(key)) continue;
+      seenRevisions.add(key);
+      raw.revisions.push({
+        revision: revision[1],
+        date: revision[2],
+        description: columnValue(revision[3]),
+        confidence: CONFIDENCE.revisionRow * confidenceScale
+      });
+      found++;
+      continue;
+    }
+
+    for (const [field, pattern] of Object.entries(LABELS)) {
+      if (raw[field]) continue;
+      const match = line.match(pattern);
+      if (!match) continue;
+
+      let value = columnValue(match[1]);
+      let confidence = CONFIDENCE.labelled;
+      if (field === 'issueDate') {
+        // "ISSUE DATE: 03/15/2019" but not "ISSUE DATE  DESCRIPTION" table headers
+        const [date] = findDates(value);
+        if (!date) continue;
+        value = date;
+        confidence = CONFIDENCE.labelledDate;
+      }
+      if (!value) continue;
+      raw[field] = { value, confidence: confidence * confidenceScale };
+      found++;
+    }
+
+    const bare = !bareDate && line.match(BARE_DATE_LABEL);
+    if (bare) [bareDate] = findDates(columnValue(bare[1]));
+  }
+
+  if (!raw.issueDate && bareDate) {
+    raw.issueDate = { value: bareDate, confidence: CONFIDENCE.bareDateLabel * confidenceScale };
+    found++;
+  }
+
+  // A lone date anywhere on the sheet is probably, but not certainly, the issue date
+  if (!raw.issueDate && raw.revisions.length === 0) {
+    const dates = Array.from(new Set(findDates(lines.join('\n')).map(normalizeDate)));
+    if (dates.length === 1) {
+      raw.issueDate = { value: dates[0], confidence: CONFIDENCE.onlyDate * confidenceScale };
+      found++;
+    }
+  }
+
+  return found > 0 ? validateTitleBlock(raw) : null;
+}
+
+module.exports = {
+  CONFIDENCE,
+  extractTitleBlockFromText,
+  findDates
+};
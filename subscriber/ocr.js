@@ -0,0 +1,109 @@
+// ocr.js (CommonJS)
+//
+// Offline OCR of a rasterized drawing with the tesseract CLI. Only the areas
+// where title blocks usually sit are read: the bottom-right corner and the
+// right-hand and bottom strips. Each region is cropped, converted to
+// grayscale and normalized with sharp before OCR.
+
+const { execFile } = require('child_process');
+const fs = require('fs-extra');
+const sharp = require('sharp');
+
+const OCR_ENABLED = process.env.OCR_ENABLED !== 'false';
+const OCR_LANG = process.env.OCR_LANG || 'eng';
+const OCR_PSM = parseInt(process.env.OCR_PSM) || 6; // assume a uniform block of text
+const OCR_TIMEOUT_MS = parseInt(process.env.OCR_TIMEOUT_MS) || 60000;
+
+// Resolved once: whether the tesseract CLI can be run (false when OCR is disabled)
+let ocrAvailable = null;
+
+// Fractions of the page width/height
+const TITLE_BLOCK_REGIONS = [
+  { name: 'bottom-right', left: 0.6, top: 0.7, width: 0.4, height: 0.3 },
+  { name: 'right-strip', left: 0.8, top: 0, width: 0.2, height: 0.7 },
+  { name: 'bottom-strip', left: 0, top: 0.85, width: 0.6, height: 0.15 }
+];
+
+function runTesseract(imagePath) {
+  return new Promise((resolve, reject) => {
+    execFile('tesseract', [imagePath, 'stdout', '-l', OCR_LANG, '--psm', String(OCR_PSM)],
+      { timeout: OCR_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 },
+      (error, stdout) => {
+        if (error) {
+          if (error.killed) error.message = `tesseract timed out after ${OCR_TIMEOUT_MS}ms`;
+          return reject(error);
+        }
+        resolve(stdout);
+      });
+  });
+}
+
+/**
+ * Whether OCR can run; checked once with `tesseract --version` and cached
+ * @returns {Promise<boolean>}
+ */
+function isOcrAvailable() {
+  if (!OCR_ENABLED) return Promise.resolve(false);
+  if (!ocrAvailable) {
+    ocrAvailable = new Promise((resolve) => {
+      execFile('tesseract', ['--version'], { timeout: OCR_TIMEOUT_MS }, (error) => {
+        if (error) {
+          console.warn(`⚠️  tesseract is not available (${error.code === 'ENOENT' ? 'not installed' : error.message}), OCR is disabled`);
+          return resolve(false);
+        }
+        resolve(true);
+      });
+    });
+  }
+  return ocrAvailable;
+}
+
+async function cropRegion(imagePath, region, destPath) {
+  const { width, height } = await sharp(imagePath).metadata();
+  await sharp(imagePath)
+    .extract({
+      left: Math.floor(width * region.left),
+      top: Math.floor(height * region.top),
+      width: Math.floor(width * region.width),
+      height: Math.floor(height * region.height)
+    })
+    .grayscale()
+    .normalize()
+    .png()
+    .toFile(destPath);
+}
+
+/**
+ * OCR the title-block regions of a page image
+ * @param {string} imagePath - Rasterized page (e.g. from pdfToJpeg)
+ * @returns {Promise<string|null>} - Text of all regions, or null if OCR is disabled or unavailable
+ */
+async function ocrTitleBlockRegions(imagePath) {
+  if (!(await isOcrAvailable())) return null;
+
+  const texts = [];
+  for (const region of TITLE_BLOCK_REGIONS) {
+    const regionPath = `${imagePath}.${region.name}.png`;
+    try {
+      await cropRegion(imagePath, region, regionPath);
+      texts.push(await runTesseract(regionPath));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.warn('⚠️  tesseract is no longer installed, OCR is disabled');
+        ocrAvailable = Promise.resolve(false);
+        return null;
+      }
+      console.error(`OCR of ${region.name} region failed:`, error.message);
+    } finally {
+      await fs.remove(regionPath);
+    }
+  }
+  return texts.join('\n');
+}
+
+module.exports = {
+  OCR_ENABLED,
+  TITLE_BLOCK_REGIONS,
+  isOcrAvailable,
+  ocrTitleBlockRegions
+};
@@ -1,20 +1,61 @@
 // processFile.js
-const fetch = require('node-fetch');
 const pdf = require('pdf-parse');
 const { google } = require('googleapis');
 const sharp = require('sharp');
 const fs = require('fs-extra');
 const path = require('path');
-const { execFileSync } = require('child_process');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
 
 const { Storage } = require('@google-cloud/storage');
-const { propertyMap } = require('./sheetUtils.js');
+const { escapeQueryValue } = require('./sheetUtils.js');
+const { renderFolderPath } = require('./folderLayout');
+const { renderFileName, chooseFreeName, originalNameMetadata } = require('./fileNaming');
+const { PropertyMatcher } = require('./propertyMatcher');
+const { PropertyIndex } = require('./propertyRetrieval');
+const { getReviewReasons } = require('./reviewPolicy');
+const { ProcessingError, TimeoutError, PermanentError, InvalidInputError, classifyError } = require('./errors');
+const { TITLE_BLOCK_PROMPT, TITLE_BLOCK_SCHEMA, parseTitleBlock, getTitleBlockYear, getTitleBlockYearConfidence } = require('./titleBlock');
+const { extractTitleBlockFromText } = require('./metadataRules');
+const { isOcrAvailable, ocrTitleBlockRegions } = require('./ocr');
 
 // Configure Google Cloud Storage
 const storage = new Storage();
 const GCS_BUCKET = process.env.GCS_BUCKET_NAME;
 const FILE_SIZE_THRESHOLD = 48 * 1024 * 1024; // 48MB in bytes
 
+// How files are placed in the organized tree (and the review folder):
+//   copy: copy the original, which stays in the inbox (default)
+//   move: re-parent the original out of the inbox
+//   shortcut: create a Drive shortcut to the original
+const ORGANIZE_MODES = ['copy', 'move', 'shortcut'];
+const ORGANIZE_MODE = process.env.ORGANIZE_MODE || 'copy';
+if (!ORGANIZE_MODES.includes(ORGANIZE_MODE)) {
+  throw new Error(`Unknown ORGANIZE_MODE: ${ORGANIZE_MODE}`);
+}
+
+// Text-layer extraction: skip the LLM when the PDF's own text gives a confident year
+const TEXT_LAYER_MAX_PAGES = parseInt(process.env.TEXT_LAYER_MAX_PAGES) || 3;
+const TEXT_LAYER_MIN_CHARS = parseInt(process.env.TEXT_LAYER_MIN_CHARS) || 50;
+const TEXT_LAYER_MIN_CONFIDENCE = parseFloat(process.env.TEXT_LAYER_MIN_CONFIDENCE) || 0.8;
+
+// OCR of the title-block regions when the text layer gives no confident year (scanned drawings)
+const OCR_DPI = parseInt(process.env.OCR_DPI) || 200;
+const OCR_MIN_CONFIDENCE = parseFloat(process.env.OCR_MIN_CONFIDENCE) || 0.8;
+const OCR_CONFIDENCE_SCALE = parseFloat(process.env.OCR_CONFIDENCE_SCALE) || 0.9; // OCR text is less reliable
+
+// Number of retrieved candidates offered to the LLM when matching is not conclusive
+const PROPERTY_SHORTLIST_SIZE = parseInt(process.env.PROPERTY_SHORTLIST_SIZE) || 8;
+
+const PROPERTY_ID_SCHEMA = {
+  type: 'object',
+  properties: {
+    candidateId: { type: 'string', nullable: true, description: 'ID of the matching candidate, or null if none matches' },
+    confidence: { type: 'number' }
+  },
+  required: ['candidateId', 'confidence']
+};
+
 // GCS Helper Functions
 async function uploadToGCS(buffer, key) {
   try {
@@ -66,11 +107,6 @@ function bytesToMB(bytes) {
   return bytes / (1024 * 1024);
 }
 
-// Normalize filename for matching
-function normalizeFilename(filename) {
-  return filename.toLowerCase().replace(/[^a-z0-9\s]/g, ' ').replace(/\s+/g, ' ').trim();
-}
-
 function toTitleCase(str) {
   return str.toLowerCase().replace(/\b[a-z]/g, c => c.toUpperCase());
 }
@@ -79,9 +115,13 @@ function toTitleCase(str) {
 function bytesToMB(b) { return b / (1024 * 1024); }
 function fileMB(fp) { return bytesToMB(fs.statSync(fp).size); }
 
-// Rasterize a single-page PDF to a JPEG using pdftoppm
-function pdfToJpeg(pdfPath, outPrefix, dpi = 300) {
-  execFileSync("pdftoppm", ["-jpeg", "-r", String(dpi), pdfPath, outPrefix], { stdio: "inherit" });
+const execFileAsync = promisify(execFile);
+const PDF_RASTERIZE_TIMEOUT_MS = parseInt(process.env.PDF_RASTERIZE_TIMEOUT_MS) || 120000;
+
+// Rasterize the first page of a PDF to a JPEG using pdftoppm
+// Async so a large page does not block other files being processed
+async function pdfToJpeg(pdfPath, outPrefix, dpi = 300) {
+  await execFileAsync("pdftoppm", ["-jpeg", "-r", String(dpi), "-f", "1", "-l", "1", pdfPath, outPrefix], { timeout: PDF_RASTERIZE_TIMEOUT_MS });
   return `${outPrefix}-1.jpg`;
 }
 
@@ -134,111 +174,170 @@ async function compressJpegToTarget(inJpegPath, destPath, targetMB, startQuality
   return { success: false, sizeMB: lastSizeMB ?? fileMB(destPath) };
 }
 
-// Populate propertyMap with existing property data
-function populatePropertyMap(propertyData) {
+// Scores filenames against the properties sheet (see propertyMatcher.js)
+let propertyMatcher = new PropertyMatcher();
+// BM25 shortlist for the LLM (see propertyRetrieval.js)
+let propertyIndex = new PropertyIndex();
+// Lowercased property name -> sheet row (aliases, code, status, destinationFolder)
+const propertyRecords = new Map();
+
+// Build the matcher, retrieval index and property records from the Properties sheet
+function populateProperties(propertyData) {
   if (!propertyData || propertyData.length === 0) return;
   
+  // Built from the sheet only; nothing is added at runtime
+  propertyMatcher = new PropertyMatcher();
+  propertyRecords.clear();
   propertyData.forEach(prop => {
     if (prop.name) {
       const normalized = toTitleCase(prop.name.replace(/\s+/g, ' ').trim());
-      propertyMap.set(normalized.toLowerCase(), normalized);
+      propertyRecords.set(normalized.toLowerCase(), { ...prop, name: normalized });
+      propertyMatcher.addProperty({ name: normalized, address: prop.address || '', aliases: prop.aliases, code: prop.code });
     }
   });
+  propertyIndex = new PropertyIndex(Array.from(propertyRecords.values()));
   
-  console.log(`📋 Populated propertyMap with ${propertyMap.size} properties`);
-  console.log('🗺️ PropertyMap contents:');
-  for (const [key, value] of propertyMap.entries()) {
-    console.log(`  "${key}" -> "${value}"`);
-  }
+  console.log(`📋 Loaded ${propertyRecords.size} properties for matching`);
 }
 
-// Identify property by substring
+// Identify property by fuzzy name / address matching
+// Returns { match: { name, score } | null (no candidate is clearly best), candidates }
 function identifyPropertyFromFilename(filename) {
-  const clean = normalizeFilename(filename);
-  
-  for (const [lowName, canonical] of propertyMap.entries()) {
-    if (clean.includes(lowName)) {
-      console.log(`  ✅ Match found: "${canonical}"`);
-      return canonical;
-    }
+  const result = propertyMatcher.resolve(filename);
+  const ranked = result.candidates.slice(0, 3).map(c => `${c.name} (${c.score})`).join(', ');
+
+  if (result.match) {
+    console.log(`  ✅ Match found: "${result.match.name}" (score ${result.match.score})`);
+  } else {
+    console.log(`  ❌ No clear property match${ranked ? `, candidates: ${ranked}` : ''}`);
   }
-  console.log(`  ❌ No property match found`);
-  return null;
+  return result;
 }
 
-// Gemini RAG API to identify property if substring match fails
-async function getPropertyNameFromFilenameRAG(filename, propertyData, geminiApiKey, geminiSemaphore = null) {
+// LLM RAG to identify property if fuzzy matching fails: retrieve the most likely
+// properties locally and let the LLM choose among them
+// relativePath (subfolders + filename) is added as context when the file came from a subfolder
+// Returns { name (null if unidentified), candidateId, confidence, confidenceSource, shortlist, rawAnswer },
+// or null without property data. confidenceSource is 'llm', or 'matcher' when the answer stated none
+async function getPropertyNameFromFilenameRAG(filename, propertyData, llmClient, relativePath = null) {
   if (!propertyData || propertyData.length === 0) return null;
-
-  let contextPrompt = "You are an assistant that identifies property names from filenames.\n";
-  propertyData.forEach(prop => {
-    contextPrompt += `- Name: ${prop.name}, Address: ${prop.address}\n`;
+  const unidentified = { name: null, candidateId: null, confidence: null, confidenceSource: null, shortlist: [], rawAnswer: null };
+
+  const query = relativePath && relativePath !== filename ? `${relativePath} ${filename}` : filename;
+  const shortlist = propertyIndex.search(query, { limit: PROPERTY_SHORTLIST_SIZE })
+    .map(({ property }, i) => ({ id: `C${i + 1}`, property }));
+  if (shortlist.length === 0) {
+    console.log(`  ❌ No property shares any term with ${filename}, skipping LLM`);
+    return unidentified;
+  }
+  const shortlistNames = shortlist.map(c => ({ id: c.id, name: c.property.name }));
+  console.log(`  🔎 Shortlist: ${shortlist.map(c => `${c.id} ${c.property.name}`).join(', ')}`);
+
+  let contextPrompt = "You are an assistant that identifies which property a drawing file belongs to.\n";
+  contextPrompt += "Candidates:\n";
+  shortlist.forEach(({ id, property }) => {
+    contextPrompt += `- ${id}: ${property.name}`;
+    if (property.address) contextPrompt += `, Address: ${property.address}`;
+    if (property.aliases?.length) contextPrompt += `, Also known as: ${property.aliases.join(', ')}`;
+    if (property.code) contextPrompt += `, Code: ${property.code}`;
+    if (property.status === 'retired') contextPrompt += ' (retired)';
+    contextPrompt += '\n';
   });
-  contextPrompt += `\nFilename: ${filename}\nReturn ONLY the property name from the list or UNKNOWN.`;
-
-  const payload = {
-    contents: [{ parts: [{ text: contextPrompt }] }],
-    generationConfig: { temperature: 0.0 }
-  };
-
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-lite:generateContent?key=${geminiApiKey}`;
+  contextPrompt += `\nFilename: ${filename}\n`;
+  if (relativePath && relativePath !== filename) {
+    contextPrompt += `Source folder path: ${relativePath}\n`;
+  }
+  contextPrompt += `Answer with the candidate ID (e.g. C1) of the property this file belongs to, or null if none of them match, and your confidence between 0 and 1.`;
+
+  const text = await llmClient.run('propertyId', { prompt: contextPrompt, responseSchema: PROPERTY_ID_SCHEMA });
+  const { candidateId, confidence } = parsePropertyAnswer(text);
+  const answered = { ...unidentified, confidence, confidenceSource: confidence === null ? null : 'llm', shortlist: shortlistNames, rawAnswer: text };
+  if (!candidateId || /^(unknown|none|null)$/i.test(candidateId)) return answered;
+
+  // Only shortlisted properties are accepted; anything else would create a new property folder
+  const chosen = shortlist.find(c => c.id.toLowerCase() === candidateId.toLowerCase())
+    || shortlist.find(c => c.property.name === propertyMatcher.canonicalName(candidateId));
+  if (!chosen) {
+    console.warn(`⚠️  LLM answered "${candidateId}" for ${filename}, which is not a shortlisted property; treating it as unidentified`);
+    return answered;
+  }
+  if (confidence === null) {
+    // No stated confidence (bare answer): trust it as far as the filename and path support it
+    const evidence = propertyMatcher.match(query, { limit: Infinity }).find(c => c.name === chosen.property.name);
+    return { ...answered, name: chosen.property.name, candidateId: chosen.id, confidence: evidence?.score || 0, confidenceSource: 'matcher' };
+  }
+  return { ...answered, name: chosen.property.name, candidateId: chosen.id };
+}
 
-  // Use semaphore to limit concurrent Gemini API calls
-  let releaseFunction = null;
-  if (geminiSemaphore) {
-    try {
-      releaseFunction = await geminiSemaphore.acquire();
-      console.log(`[Property ID] Acquired Gemini semaphore, current usage: ${await geminiSemaphore.getCurrentUsage()}`);
-    } catch (error) {
-      console.error('[Property ID] Failed to acquire Gemini semaphore:', error.message);
-      throw new Error(`Gemini rate limit acquisition failed: ${error.message}`);
+// { candidateId, confidence } from the JSON answer; providers without structured
+// output may answer with a bare ID or property name instead
+function parsePropertyAnswer(text) {
+  const json = String(text).replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '');
+  try {
+    const answer = JSON.parse(json);
+    if (answer && typeof answer === 'object') {
+      const confidence = Number(answer.confidence);
+      return {
+        candidateId: answer.candidateId ? String(answer.candidateId).trim() : null,
+        confidence: Number.isFinite(confidence) ? Math.min(Math.max(confidence, 0), 1) : null
+      };
     }
+  } catch (error) {
+    // Not JSON, fall through
   }
+  const answer = String(text).replace(/^["'`\s]+|["'`.\s]+$/g, '');
+  return { candidateId: answer || null, confidence: null };
+}
 
-  let res;
+// Read the title block from the PDF's text layer with rules (see metadataRules.js)
+// Returns null for scanned drawings and PDFs pdf-parse cannot read
+async function extractTitleBlockFromTextLayer(buffer) {
   try {
-    res = await fetch(url, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload)
-    });
-    
-    if (!res.ok) {
-      const errorText = await res.text();
-      console.error(`[Property ID] Gemini API error ${res.status}:`, errorText);
-      throw new Error(`Gemini API returned ${res.status}: ${errorText}`);
+    const data = await pdf(buffer, { max: TEXT_LAYER_MAX_PAGES });
+    const text = data.text || '';
+    if (text.replace(/\s/g, '').length < TEXT_LAYER_MIN_CHARS) {
+      console.log('📄 No usable text layer, likely a scanned drawing');
+      return null;
     }
+    return extractTitleBlockFromText(text);
   } catch (error) {
-    console.error('[Property ID] Gemini API request failed:', error.message);
-    throw error;
-  } finally {
-    if (releaseFunction) {
-      releaseFunction();
-      console.log(`[Property ID] Released Gemini semaphore`);
-    }
+    console.error('Text layer extraction failed:', error.message);
+    return null;
   }
+}
 
-  const data = await res.json();
-  const text = data?.candidates?.[0]?.content?.parts?.[0]?.text?.trim();
-  if (!text || text.toUpperCase() === 'UNKNOWN') return null;
+// OCR the title block of a scanned drawing (see ocr.js) and read it with the same rules
+async function extractTitleBlockFromScan(buffer, fileId) {
+  // Checked before rasterizing: without tesseract the page image is of no use
+  if (!(await isOcrAvailable())) return null;
 
-  const normalized = toTitleCase(text.replace(/\s+/g, ' ').trim());
-  propertyMap.set(normalized.toLowerCase(), normalized);
-  return normalized;
+  const tempDir = path.join(__dirname, 'temp');
+  const tempPdfPath = path.join(tempDir, `ocr_${fileId}.pdf`);
+  let jpegPath = null;
+  try {
+    await fs.ensureDir(tempDir);
+    await fs.writeFile(tempPdfPath, buffer);
+    jpegPath = await pdfToJpeg(tempPdfPath, path.join(tempDir, `ocr_${fileId}`), OCR_DPI);
+
+    const text = await ocrTitleBlockRegions(jpegPath);
+    if (!text) return null;
+    return extractTitleBlockFromText(text, { confidenceScale: OCR_CONFIDENCE_SCALE });
+  } catch (error) {
+    console.error('OCR extraction failed:', error.message);
+    return null;
+  } finally {
+    await fs.remove(tempPdfPath);
+    if (jpegPath) await fs.remove(jpegPath);
+  }
 }
 
-// Extract year from PDF using Gemini
-async function extractYearWithGemini(file, drive, geminiApiKey, geminiSemaphore = null) {
+// Extract the title block from a PDF: the text layer, then OCR, then the LLM
+// Returns { titleBlock, source: 'text-layer' | 'ocr' | 'llm' } or null if it could not be read
+async function extractTitleBlockFromDrawing(file, drive, llmClient) {
   if (!file.mimeType || !file.mimeType.includes('pdf')) return null;
 
+  let gcsKey = null;
   try {
-    // Define prompt at the beginning so it's available in both paths
-    const prompt = `
-Look at this construction/landscape drawing PDF and find the YEAR it was created.
-Respond ONLY with a 4-digit year (1950-current) or UNKNOWN.
-`;
-    
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash:generateContent?key=${geminiApiKey}`;
     
     // Get file size first
     const fileInfo = await drive.files.get({
@@ -253,7 +352,6 @@ Respond ONLY with a 4-digit year (1950-current) or UNKNOWN.
     console.log(`📄 Processing file: ${fileName} (${bytesToMB(fileSize).toFixed(2)}MB)`);
     
     let buffer;
-    let gcsKey = null;
     
     // Check if file is larger than threshold
     if (fileSize > FILE_SIZE_THRESHOLD) {
@@ -279,7 +377,7 @@ Respond ONLY with a 4-digit year (1950-current) or UNKNOWN.
         } else if (pdfRes.data) {
           buffer = Buffer.from(pdfRes.data);
         } else {
-          throw new Error('Unable to read PDF bytes from Drive response');
+          throw new InvalidInputError('Unable to read PDF bytes from Drive response');
         }
         
         // Upload to GCS
@@ -324,6 +422,33 @@ Respond ONLY with a 4-digit year (1950-current) or UNKNOWN.
       }
     }
 
+    // Local stages first; a confident year from either skips the LLM
+    let localResult = null;
+    const textLayerBlock = await extractTitleBlockFromTextLayer(buffer);
+    const textLayerConfidence = getTitleBlockYearConfidence(textLayerBlock);
+    if (textLayerBlock) localResult = { titleBlock: textLayerBlock, source: 'text-layer', confidence: textLayerConfidence };
+
+    if (textLayerConfidence < TEXT_LAYER_MIN_CONFIDENCE) {
+      const ocrBlock = await extractTitleBlockFromScan(buffer, file.id);
+      const ocrConfidence = getTitleBlockYearConfidence(ocrBlock);
+      if (ocrBlock && (!localResult || ocrConfidence > localResult.confidence)) {
+        localResult = { titleBlock: ocrBlock, source: 'ocr', confidence: ocrConfidence };
+      }
+    }
+
+    const minConfidence = localResult?.source === 'ocr' ? OCR_MIN_CONFIDENCE : TEXT_LAYER_MIN_CONFIDENCE;
+    if (localResult && localResult.confidence >= minConfidence) {
+      console.log(`📝 Title block read from ${localResult.source} (year confidence ${localResult.confidence}), skipping LLM`);
+      if (gcsKey) {
+        await deleteFromGCS(gcsKey);
+      }
+      return { titleBlock: localResult.titleBlock, source: localResult.source };
+    }
+    // A low-confidence local answer is still better than none if the LLM fails
+    const llmResult = (titleBlock) => titleBlock
+      ? { titleBlock, source: 'llm' }
+      : (localResult ? { titleBlock: localResult.titleBlock, source: localResult.source } : null);
+
     const base64Data = buffer.toString('base64');
     const maxBase64Size = 48 * 1024 * 1024; // 48MB in characters
     
@@ -345,7 +470,7 @@ Respond ONLY with a 4-digit year (1950-current) or UNKNOWN.
         await fs.writeFile(tempPdfPath, buffer);
         
         // Convert PDF to JPEG
-        const jpegPath = pdfToJpeg(tempPdfPath, tempJpegPath, 150); // Lower DPI for compression
+        const jpegPath = await pdfToJpeg(tempPdfPath, tempJpegPath, 150); // Lower DPI for compression
         
         // Compress JPEG to target size (35MB to leave some buffer)
         const targetMB = 35;
@@ -358,23 +483,19 @@ Respond ONLY with a 4-digit year (1950-current) or UNKNOWN.
           const compressedBuffer = await fs.readFile(compressedJpegPath);
           finalBase64Data = compressedBuffer.toString('base64');
           
-          // Update payload to use image instead of PDF
-          const payload = {
-            contents: [
-              { parts: [{ text: prompt }, { inlineData: { mimeType: 'image/jpeg', data: finalBase64Data } }] }
-            ],
-            generationConfig: { temperature: 0.0, topK: 1, topP: 0.1, candidateCount: 1 }
-          };
-          
           // Clean up temporary files
           await fs.remove(tempPdfPath);
           await fs.remove(jpegPath);
           await fs.remove(compressedJpegPath);
           
-          // Continue with Gemini API call using compressed image
-          return await callGeminiWithPayload(payload, url, geminiSemaphore);
+          // Continue with the LLM call using the compressed image instead of the PDF
+          const titleBlock = await requestTitleBlock(llmClient, { mimeType: 'image/jpeg', data: finalBase64Data, name: fileName });
+          if (gcsKey) {
+            await deleteFromGCS(gcsKey);
+          }
+          return llmResult(titleBlock);
         } else {
-          console.log(`⚠️  Could not compress PDF sufficiently, skipping year extraction`);
+          console.log(`⚠️  Could not compress PDF sufficiently, skipping title block extraction`);
           // Clean up temporary files
           await fs.remove(tempPdfPath);
           await fs.remove(jpegPath);
@@ -385,111 +506,57 @@ Respond ONLY with a 4-digit year (1950-current) or UNKNOWN.
           if (gcsKey) {
             await deleteFromGCS(gcsKey);
           }
-          return 'Unknown_Year';
+          return llmResult(null);
         }
       } catch (compressionError) {
+        if (compressionError instanceof ProcessingError) throw compressionError;
         console.error('Error during PDF compression:', compressionError.message);
-        return 'Unknown_Year';
+        return llmResult(null);
       }
     }
     
-    const payload = {
-      contents: [
-        { parts: [{ text: prompt }, { inlineData: { mimeType: 'application/pdf', data: finalBase64Data } }] }
-      ],
-      generationConfig: { temperature: 0.0, topK: 1, topP: 0.1, candidateCount: 1 }
-    };
-    
-    const result = await callGeminiWithPayload(payload, url, geminiSemaphore);
+    const titleBlock = await requestTitleBlock(llmClient, { mimeType: 'application/pdf', data: finalBase64Data, name: fileName });
     
     // Clean up GCS file if it was used
     if (gcsKey) {
       await deleteFromGCS(gcsKey);
     }
     
-    return result;
+    return llmResult(titleBlock);
   } catch (error) {
     // Clean up GCS file if it was used, even on error
     if (gcsKey) {
       await deleteFromGCS(gcsKey);
     }
     
-    if (error.name === 'AbortError') {
-      console.error('Gemini API call timed out after 15 seconds');
-    } else {
-      console.error('Error in extractYearWithGemini:', error.message);
-    }
-    return 'Unknown_Year';
+    if (error instanceof ProcessingError) throw error;
+    console.error('Error in extractTitleBlockFromDrawing:', error.message);
+    return null;
   }
 }
 
-// Helper function to make Gemini API call
-async function callGeminiWithPayload(payload, url, geminiSemaphore) {
+// Ask the LLM for the title block of one PDF or image.
+// Timeouts, rejected requests and unusable answers leave it unknown; quota and outage errors are retried.
+async function requestTitleBlock(llmClient, file) {
+  let text;
   try {
-
-    let releaseFunction = null;
-    if (geminiSemaphore) {
-      try {
-        releaseFunction = await geminiSemaphore.acquire();
-        console.log(`[Year Extract] Acquired Gemini semaphore, current usage: ${await geminiSemaphore.getCurrentUsage()}`);
-      } catch (error) {
-        console.error('[Year Extract] Failed to acquire Gemini semaphore:', error.message);
-        return 'Unknown_Year';
-      }
-    }
-
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 15000); // 15 second timeout
-
-    let res;
-    try {
-      res = await fetch(url, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload),
-        signal: controller.signal
-      });
-
-      clearTimeout(timeoutId);
-
-      if (!res.ok) {
-        const errorText = await res.text();
-        console.error(`[Year Extract] Gemini API error ${res.status}:`, errorText);
-        return 'Unknown_Year';
-      }
-    } catch (error) {
-      clearTimeout(timeoutId);
-      console.error('[Year Extract] Gemini API request failed:', error.message);
-      throw error;
-    } finally {
-      if (releaseFunction) {
-        releaseFunction();
-        console.log(`[Year Extract] Released Gemini semaphore`);
-      }
-    }
-
-    const data = await res.json();
-    console.log('Gemini API response received');
-
-    let yearText = data?.candidates?.[0]?.content?.parts?.[0]?.text?.trim();
-    if (!yearText) {
-      console.log('No year text found in Gemini response');
-      return 'Unknown_Year';
+    text = await llmClient.run('titleBlock', { prompt: TITLE_BLOCK_PROMPT, file, responseSchema: TITLE_BLOCK_SCHEMA });
+  } catch (error) {
+    if (error instanceof TimeoutError || error.kind === 'permanent') {
+      console.error('Title block extraction failed, leaving it unknown:', error.message);
+      return null;
     }
+    throw error;
+  }
 
-    console.log(`Gemini extracted text: ${yearText}`);
-    const match = yearText.match(/\b(19|20)\d{2}\b/);
-    const result = match ? match[0] : 'Unknown_Year';
-    console.log(`Final year result: ${result}`);
-    return result;
-
+  try {
+    const titleBlock = parseTitleBlock(text);
+    if (titleBlock.warnings.length > 0) console.log(`⚠️  Title block warnings: ${titleBlock.warnings.join('; ')}`);
+    console.log(`📐 Title block: ${titleBlock.drawingNumber.value || '?'} ${titleBlock.sheetTitle.value || ''} (issued ${titleBlock.issueDate.value || 'unknown'})`);
+    return titleBlock;
   } catch (error) {
-    if (error.name === 'AbortError') {
-      console.error('Gemini API call timed out after 15 seconds');
-    } else {
-      console.error('Error in callGeminiWithPayload:', error.message);
-    }
-    return 'Unknown_Year';
+    console.error('Unusable title block answer:', error.message);
+    return null;
   }
 }
 
@@ -502,7 +569,7 @@ async function getOrCreateFolder(drive, parentId, folderName) {
   }
 
   const res = await drive.files.list({
-    q: `'${parentId}' in parents and mimeType='application/vnd.google-apps.folder' and name='${folderName}' and trashed=false`,
+    q: `'${parentId}' in parents and mimeType='application/vnd.google-apps.folder' and name='${escapeQueryValue(folderName)}' and trashed=false`,
     fields: 'files(id, name)',
     supportsAllDrives: true,
     includeItemsFromAllDrives: true
@@ -521,61 +588,214 @@ async function getOrCreateFolder(drive, parentId, folderName) {
   return folder.data.id;
 }
 
-// Move file into organized folder structure
-async function moveFileToOrganizedFolder(drive, fileId, propertyName, year, mainFolderId) {
+// Move file into organized folder structure (copy, move or shortcut, see ORGANIZE_MODE)
+// The folder path comes from FOLDER_LAYOUT (see folderLayout.js); property is the sheet row
+// (see getPropertyRecord), whose Folder Layout and Destination Folder override it.
+// With FILE_NAME_TEMPLATE set the filed file is renamed (see fileNaming.js)
+// Returns { fileId, mode, name }: the filed copy, original or shortcut, the mode used and its name
+async function moveFileToOrganizedFolder(drive, fileId, property, year, mainFolderId, titleBlock = null) {
   console.log(`moveFileToOrganizedFolder called with mainFolderId: ${mainFolderId}`);
-  console.log(`Creating/getting property folder: ${propertyName}`);
-  const propertyFolderId = await getOrCreateFolder(drive, mainFolderId, propertyName);
-  console.log(`Property folder ID: ${propertyFolderId}`);
+  const { rootFolderId, folderNames } = renderFolderPath(property, year, titleBlock);
+  if (rootFolderId) console.log(`Using destination folder override for ${property.name}: ${rootFolderId}`);
+
+  let folderId = rootFolderId || mainFolderId;
+  for (const folderName of folderNames) {
+    console.log(`Creating/getting folder: ${folderName}`);
+    folderId = await getOrCreateFolder(drive, folderId, folderName);
+  }
+  console.log(`Destination folder ID: ${folderId}`);
+
+  const placed = await placeFileInFolder(drive, fileId, folderId, ORGANIZE_MODE, {
+    nameFor: (originalName) => renderFileName(originalName, property, year, titleBlock)
+  });
+  console.log(`Filed ${fileId} -> ${folderNames.join('/')}/${placed.name} (${placed.mode}, file ID: ${placed.fileId})`);
+  return placed;
+}
+
+// Names of the other files in a folder that a new name could clash with
+async function listTakenNames(drive, folderId, fileId, name) {
+  const stem = path.basename(name, path.extname(name));
+  const res = await drive.files.list({
+    q: `'${folderId}' in parents and name contains '${escapeQueryValue(stem)}' and trashed=false`,
+    fields: 'files(id, name)',
+    pageSize: 1000,
+    supportsAllDrives: true,
+    includeItemsFromAllDrives: true
+  });
+  return new Set((res.data.files || []).filter(f => f.id !== fileId).map(f => f.name));
+}
+
+// Put a file into a folder, by ORGANIZE_MODE
+// nameFor(originalName) may return { name, revision } to rename it; clashes get a revision tag or number
+// Returns { fileId, mode, name }; a move the file's drive does not allow falls back to a copy
+async function placeFileInFolder(drive, fileId, folderId, mode = ORGANIZE_MODE, { nameFor = null } = {}) {
+  const { data: file } = await drive.files.get({
+    fileId,
+    fields: 'id, name, description, appProperties, parents, driveId, capabilities(canCopy, canMoveItemWithinDrive, canMoveItemOutOfDrive)',
+    supportsAllDrives: true
+  });
 
-  console.log(`Creating/getting year folder: ${year}`);
-  const yearFolderId = await getOrCreateFolder(drive, propertyFolderId, year);
-  console.log(`Year folder ID: ${yearFolderId}`);
+  let name = file.name;
+  const standardName = nameFor ? nameFor(file.name) : null;
+  if (standardName && standardName.name !== file.name) {
+    name = chooseFreeName(standardName.name, await listTakenNames(drive, folderId, fileId, standardName.name), standardName.revision);
+  }
+  const renamed = name !== file.name;
+  const metadata = renamed ? { name, ...originalNameMetadata(file) } : {};
+
+  if (mode === 'move') {
+    const parents = file.parents || [];
+    const inFolder = parents.length === 1 && parents[0] === folderId;
+    if (inFolder && !renamed) return { fileId, mode, name };
+
+    if (!inFolder) {
+      // Moving between drives (My Drive / shared drives) needs different rights than within one
+      const { data: folder } = await drive.files.get({ fileId: folderId, fields: 'driveId', supportsAllDrives: true });
+      const sameDrive = (file.driveId || null) === (folder.driveId || null);
+      const canMove = sameDrive ? file.capabilities?.canMoveItemWithinDrive : file.capabilities?.canMoveItemOutOfDrive;
+      if (canMove === false) {
+        console.warn(`⚠️  Not allowed to move ${file.name} ${sameDrive ? 'within its drive' : 'to another drive'}, copying instead`);
+        return placeFileInFolder(drive, fileId, folderId, 'copy', { nameFor });
+      }
+    }
 
-  // Copy file to the organized folder
-  const fileRes = await drive.files.get({ fileId, fields: 'name', supportsAllDrives: true });
-  const fileName = fileRes.data.name;
+    // Shared drive items have exactly one parent, so all current parents are replaced
+    await drive.files.update({
+      fileId,
+      ...(inFolder ? {} : { addParents: folderId, removeParents: parents.join(',') }),
+      requestBody: metadata,
+      fields: 'id, parents',
+      supportsAllDrives: true
+    });
+    return { fileId, mode, name };
+  }
 
-  const copiedFile = await drive.files.copy({
+  if (mode === 'shortcut') {
+    const { data: shortcut } = await drive.files.create({
+      requestBody: {
+        ...metadata,
+        name,
+        mimeType: 'application/vnd.google-apps.shortcut',
+        shortcutDetails: { targetId: fileId },
+        parents: [folderId]
+      },
+      fields: 'id',
+      supportsAllDrives: true
+    });
+    return { fileId: shortcut.id, mode, name };
+  }
+
+  // Shared drives can forbid copying (download/copy restrictions)
+  if (file.capabilities?.canCopy === false) {
+    throw new PermanentError(`Not allowed to copy ${file.name}; use ORGANIZE_MODE=move or shortcut`);
+  }
+  const { data: copiedFile } = await drive.files.copy({
     fileId,
     requestBody: {
-      name: fileName,
-      parents: [yearFolderId]
+      ...metadata,
+      name,
+      parents: [folderId]
     },
+    fields: 'id',
     supportsAllDrives: true
   });
+  return { fileId: copiedFile.id, mode: 'copy', name };
+}
 
-  console.log(`Copied file ${fileId} -> ${propertyName}/${year} (new file ID: ${copiedFile.data.id})`);
+// Sheet row for a property name; properties the sheet does not list (e.g. 'Unidentified') get a bare record
+function getPropertyRecord(propertyName) {
+  return propertyRecords.get(propertyName.toLowerCase()) || { name: propertyName, aliases: [], code: null, status: 'active', destinationFolder: null, folderLayout: null };
+}
+
+// Listed properties with canonical names, e.g. for the review console
+function listPropertyRecords() {
+  return Array.from(propertyRecords.values());
 }
 
 // Main processing function
-async function processFile(file, propertyData, drive, mainFolderId, geminiApiKey, geminiSemaphore = null) {
+// Property and year each come with a confidence and the method that produced them.
+// Uncertain files go to reviewFolderId (when given) with status 'review' instead of the organized tree.
+// Returns { status, property, year, propertyConfidence, propertyMethod, yearConfidence, yearMethod,
+//   reviewReasons, classification, destinationFileId, organizeMode, destinationName, titleBlock, extractionSource } for the state store
+// Errors are thrown as ProcessingError subclasses (see errors.js)
+async function processFile(file, propertyData, drive, mainFolderId, llmClient, reviewFolderId = null) {
+  if (!file?.id || !file?.name) throw new InvalidInputError('File is missing an ID or name');
+
   try {
-    let propertyMatch = identifyPropertyFromFilename(file.name);
+    // What was considered, for reviewers (see the review console)
+    const classification = { filenameCandidates: [], pathCandidates: [], llmProperty: null };
+    const summarize = candidates => candidates.map(c => ({ name: c.name, score: c.score }));
+
+    let property = null;
+    const filenameMatch = identifyPropertyFromFilename(file.name);
+    classification.filenameCandidates = summarize(filenameMatch.candidates);
+    if (filenameMatch.match) property = { value: filenameMatch.match.name, confidence: filenameMatch.match.score, method: 'filename-match' };
+
+    // Subfolder names often carry the property when the filename does not
+    if (!property && file.relativePath && file.relativePath !== file.name) {
+      console.log(`  🔎 Trying source path: ${file.relativePath}`);
+      const pathMatch = identifyPropertyFromFilename(file.relativePath);
+      classification.pathCandidates = summarize(pathMatch.candidates);
+      if (pathMatch.match) property = { value: pathMatch.match.name, confidence: pathMatch.match.score, method: 'path-match' };
+    }
 
-    if (!propertyMatch) {
-      propertyMatch = await getPropertyNameFromFilenameRAG(file.name, propertyData, geminiApiKey, geminiSemaphore);
-      console.log(`🏢 Property identified by RAG: ${propertyMatch}`);
+    if (!property) {
+      const answer = await getPropertyNameFromFilenameRAG(file.name, propertyData, llmClient, file.relativePath);
+      classification.llmProperty = answer;
+      if (answer?.name) property = { value: answer.name, confidence: answer.confidence, method: 'llm' };
+      console.log(`🏢 Property identified by RAG: ${answer?.name || null}${answer?.name ? ` (confidence ${answer.confidence} from ${answer.confidenceSource})` : ''}`);
     } else {
-      console.log(`🏢 Property identified normally: ${propertyMatch}`);
+      console.log(`🏢 Property identified normally: ${property.value}`);
     }
 
-    if (!propertyMatch) {
-      propertyMatch = 'Unidentified';
+    if (!property) {
+      property = { value: 'Unidentified', confidence: 0, method: 'none' };
     }
 
-    const year = await extractYearWithGemini(file, drive, geminiApiKey, geminiSemaphore) || 'Unknown_Year';
-    console.log(`📅 Year extracted: ${year}`);
+    const extraction = await extractTitleBlockFromDrawing(file, drive, llmClient);
+    const titleBlock = extraction?.titleBlock || null;
+    const yearValue = getTitleBlockYear(titleBlock);
+    const year = yearValue
+      ? { value: yearValue, confidence: getTitleBlockYearConfidence(titleBlock), method: extraction.source }
+      : { value: 'Unknown_Year', confidence: 0, method: 'none' };
+    console.log(`📅 Year extracted: ${year.value}`);
+
+    const propertyRecord = getPropertyRecord(property.value);
+    const reviewReasons = reviewFolderId ? getReviewReasons({ property, year }, { propertyStatus: propertyRecord.status }) : [];
+    let placed;
+    if (reviewReasons.length > 0) {
+      placed = await placeFileInFolder(drive, file.id, reviewFolderId);
+      console.log(`🧐 File needs review (${reviewReasons.join('; ')}), placed in the review folder (${placed.mode})`);
+    } else {
+      placed = await moveFileToOrganizedFolder(drive, file.id, propertyRecord, year.value, mainFolderId, titleBlock);
+      console.log(`📁 File moved to: ${property.value}/${year.value}`);
+    }
 
-    await moveFileToOrganizedFolder(drive, file.id, propertyMatch, year, mainFolderId);
-    console.log(`📁 File moved to: ${propertyMatch}/${year}`);
+    return {
+      status: reviewReasons.length > 0 ? 'review' : 'done',
+      property: property.value,
+      year: year.value,
+      propertyConfidence: property.confidence,
+      propertyMethod: property.method,
+      yearConfidence: year.confidence,
+      yearMethod: year.method,
+      reviewReasons,
+      classification,
+      destinationFileId: placed.fileId,
+      organizeMode: placed.mode,
+      destinationName: placed.name,
+      titleBlock,
+      extractionSource: extraction?.source || null
+    };
   } catch (error) {
     console.error(`Error processing file ${file.name}:`, error?.message ?? error);
-    throw error; // Re-throw to be handled by caller
+    throw classifyError(error); // Re-throw to be handled by caller
   }
 }
 
 module.exports = {
   processFile,
-  populatePropertyMap
+  populateProperties,
+  moveFileToOrganizedFolder,
+  listPropertyRecords
 };
@@ -0,0 +1,229 @@
+// propertyMatcher.js (CommonJS)
+//
+// Scores how well a filename (or source path) refers to each property in the
+// Properties sheet. Names and filenames are tokenized with common
+// abbreviations expanded ("Mtn View Apts" -> mountain view apartments), then
+// compared as token sets with edit-distance tolerance, so typos and reordered
+// words still match. Aliases are scored like names. Tokens shared by many
+// properties count for less. The property code, or a street number plus
+// street name from the Address column, also identifies a property.
+
+const PROPERTY_MATCH_MIN_SCORE = parseFloat(process.env.PROPERTY_MATCH_MIN_SCORE) || 0.85;
+const PROPERTY_MATCH_MIN_MARGIN = parseFloat(process.env.PROPERTY_MATCH_MIN_MARGIN) || 0.1;
+// An LLM answer must name a listed property this closely to be accepted
+const PROPERTY_ANSWER_MIN_SCORE = parseFloat(process.env.PROPERTY_ANSWER_MIN_SCORE) || 0.9;
+
+const ABBREVIATIONS = {
+  apt: 'apartments', apts: 'apartments', apartment: 'apartments',
+  mtn: 'mountain', mt: 'mount', ctr: 'center', cntr: 'center', centre: 'center',
+  pk: 'park', pkwy: 'parkway', hts: 'heights', hgts: 'heights',
+  vlg: 'village', vill: 'village', gdns: 'gardens', gdn: 'garden',
+  twr: 'tower', twrs: 'towers', sq: 'square', plz: 'plaza', crk: 'creek',
+  lk: 'lake', lks: 'lakes', spgs: 'springs', spg: 'spring', est: 'estates', ests: 'estates',
+  st: 'street', str: 'street', ave: 'avenue', av: 'avenue', blvd: 'boulevard',
+  rd: 'road', dr: 'drive', ln: 'lane', ct: 'court', pl: 'place', hwy: 'highway',
+  cir: 'circle', ter: 'terrace', trl: 'trail'
+};
+
+// Words that say nothing about which property is meant
+const STOP_WORDS = new Set(['the', 'at', 'of', 'and', 'a', 'an', 'on', 'in']);
+
+// Property-type words often left out of filenames ("Mountain View" for Mountain View Apartments)
+const GENERIC_TOKENS = new Set([
+  'apartments', 'homes', 'condominiums', 'condos', 'townhomes', 'townhouses',
+  'residences', 'residential', 'community', 'communities', 'complex', 'property'
+]);
+const GENERIC_TOKEN_WEIGHT = 0.3;
+
+// Codes are short and exact, so they are strong evidence but not proof
+const CODE_MATCH_SCORE = 0.95;
+
+function nameVariant(text) {
+  const tokens = Array.from(new Set(tokenize(text).filter(t => !STOP_WORDS.has(t))));
+  return { tokens, phrase: tokens.join(' ') };
+}
+
+const STREET_SUFFIXES = new Set([
+  'street', 'avenue', 'boulevard', 'road', 'drive', 'lane', 'court', 'place', 'highway',
+  'circle', 'terrace', 'trail', 'parkway', 'way', 'north', 'south', 'east', 'west'
+]);
+
+function tokenize(text) {
+  return String(text || '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2') // MtnView -> Mtn View
+    .replace(/([a-zA-Z])(\d)/g, '$1 $2') // L101 -> L 101
+    .replace(/(\d)([a-zA-Z]{3,})/g, '$1 $2') // 2019SitePlan -> 2019 Site Plan, but not 3rd
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map(token => ABBREVIATIONS[token] || token);
+}
+
+function levenshtein(a, b) {
+  if (a === b) return 0;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 1 for equal tokens, less for near misses, 0 when too different (short tokens must be exact)
+function tokenSimilarity(a, b) {
+  if (a === b) return 1;
+  const length = Math.max(a.length, b.length);
+  const allowed = length <= 3 ? 0 : length <= 6 ? 1 : 2;
+  const distance = levenshtein(a, b);
+  return distance <= allowed ? 1 - distance / length : 0;
+}
+
+function bestTokenSimilarity(token, tokens) {
+  let best = 0;
+  for (const candidate of tokens) {
+    best = Math.max(best, tokenSimilarity(token, candidate));
+    if (best === 1) break;
+  }
+  return best;
+}
+
+// "123 Main St, Springfield" -> { number: '123', tokens: ['main'] }
+function parseStreetAddress(address) {
+  const match = String(address || '').match(/^\s*(\d+[a-z]?)\s+([^,]+)/i);
+  if (!match) return null;
+  const tokens = tokenize(match[2]).filter(t => !STREET_SUFFIXES.has(t) && !/^\d/.test(t));
+  return tokens.length > 0 ? { number: match[1].toLowerCase(), tokens } : null;
+}
+
+class PropertyMatcher {
+  /**
+   * @param {Array} properties - [{ name, address, aliases, code }] as loaded from the Properties sheet
+   */
+  constructor(properties = []) {
+    this.properties = [];
+    this.documentFrequency = new Map();
+    // Lowercased name / alias / code -> property name
+    this.exactNames = new Map();
+    for (const property of properties) this.addProperty(property);
+  }
+
+  addProperty({ name, address = '', aliases = [], code = null }) {
+    if (!name || this.properties.some(p => p.name.toLowerCase() === name.toLowerCase())) return;
+    for (const key of [name, ...aliases, code].filter(Boolean)) {
+      const normalized = key.replace(/\s+/g, ' ').trim().toLowerCase();
+      if (!this.exactNames.has(normalized)) this.exactNames.set(normalized, name);
+    }
+    const variants = [name, ...aliases].map(nameVariant).filter(v => v.tokens.length > 0);
+    for (const token of new Set(variants.flatMap(v => v.tokens))) {
+      this.documentFrequency.set(token, (this.documentFrequency.get(token) || 0) + 1);
+    }
+    this.properties.push({
+      name,
+      address,
+      variants,
+      code: code ? tokenize(code).join(' ') : null,
+      street: parseStreetAddress(address)
+    });
+  }
+
+  // Rarer tokens identify a property better
+  tokenWeight(token) {
+    const weight = Math.log(1 + this.properties.length / (this.documentFrequency.get(token) || 1)) + 0.1;
+    return GENERIC_TOKENS.has(token) ? weight * GENERIC_TOKEN_WEIGHT : weight;
+  }
+
+  // Best score over the name and its aliases
+  scoreName(property, tokens, text) {
+    let best = 0;
+    for (const variant of property.variants) {
+      // The whole name in order, as the old substring match required
+      if (` ${text} `.includes(` ${variant.phrase} `)) return 1;
+
+      let total = 0;
+      let matched = 0;
+      for (const token of variant.tokens) {
+        const weight = this.tokenWeight(token);
+        total += weight;
+        matched += weight * bestTokenSimilarity(token, tokens);
+      }
+      best = Math.max(best, matched / total);
+    }
+    return best;
+  }
+
+  scoreCode(property, text) {
+    return property.code && ` ${text} `.includes(` ${property.code} `) ? CODE_MATCH_SCORE : 0;
+  }
+
+  scoreAddress(property, tokens) {
+    if (!property.street) return 0;
+    const { number, tokens: streetTokens } = property.street;
+    const streetMatch = streetTokens.reduce((sum, t) => sum + bestTokenSimilarity(t, tokens), 0) / streetTokens.length;
+    if (streetMatch < 0.8) return 0;
+    // The street number makes it specific; the street name alone is weak evidence
+    return tokens.includes(number) ? 0.9 * streetMatch : 0.4 * streetMatch;
+  }
+
+  /**
+   * Rank properties for a filename or path
+   * @param {string} text - Filename or relative path
+   * @param {object} options - { limit }
+   * @returns {Array} - [{ name, score, nameScore, addressScore }], best first, scores in [0, 1]
+   */
+  match(text, { limit = 5 } = {}) {
+    const words = tokenize(text);
+    const joined = words.join(' ');
+    // Also try adjacent words written together ("Lake Side" for Lakeside)
+    const tokens = [...words, ...words.slice(1).map((word, i) => words[i] + word)];
+
+    return this.properties
+      .map(property => {
+        const nameScore = Math.max(this.scoreName(property, tokens, joined), this.scoreCode(property, joined));
+        const addressScore = this.scoreAddress(property, tokens);
+        // Name and address agreeing is stronger than either alone
+        const score = Math.min(1, Math.max(nameScore, addressScore) + 0.1 * Math.min(nameScore, addressScore));
+        return { name: property.name, score: Math.round(score * 100) / 100, nameScore, addressScore };
+      })
+      .filter(c => c.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+
+  /**
+   * The property the text clearly refers to: the best candidate when it
+   * scores at least PROPERTY_MATCH_MIN_SCORE and beats the runner-up by
+   * PROPERTY_MATCH_MIN_MARGIN.
+   * @returns {{ match: object|null, candidates: Array }}
+   */
+  resolve(text, { minScore = PROPERTY_MATCH_MIN_SCORE, minMargin = PROPERTY_MATCH_MIN_MARGIN } = {}) {
+    const candidates = this.match(text);
+    const [best, runnerUp] = candidates;
+    const clear = best && best.score >= minScore && best.score - (runnerUp?.score || 0) >= minMargin;
+    return { match: clear ? best : null, candidates };
+  }
+
+  /**
+   * Map a free-text answer (e.g. from the LLM) onto a listed property: its
+   * exact name, an alias or code, or a close fuzzy match. Anything else is
+   * rejected rather than treated as a new property.
+   * @returns {string|null} - Canonical property name
+   */
+  canonicalName(answer, { minScore = PROPERTY_ANSWER_MIN_SCORE } = {}) {
+    const text = String(answer || '').replace(/\s+/g, ' ').trim();
+    if (!text) return null;
+    const exact = this.exactNames.get(text.toLowerCase());
+    if (exact) return exact;
+    return this.resolve(text, { minScore }).match?.name || null;
+  }
+}
+
+module.exports = {
+  PropertyMatcher,
+  tokenize,
+  levenshtein
+};
@@ -0,0 +1,84 @@
+// propertyRetrieval.js (CommonJS)
+//
+// BM25 index over the Properties sheet (name, aliases, code and address),
+// used to shortlist the properties a filename most likely refers to before
+// asking the LLM. Words are indexed together with their character trigrams,
+// so typos and partial words still retrieve the right property.
+
+const { tokenize } = require('./propertyMatcher');
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Trigram hits count for less than whole-word hits
+const TRIGRAM_WEIGHT = 0.3;
+
+function trigrams(word) {
+  if (word.length < 4) return [];
+  const grams = [];
+  for (let i = 0; i <= word.length - 3; i++) grams.push(`#${word.slice(i, i + 3)}`);
+  return grams;
+}
+
+function terms(text) {
+  const words = tokenize(text);
+  return [...words, ...words.flatMap(trigrams)];
+}
+
+function termFrequencies(text) {
+  const frequencies = new Map();
+  for (const term of terms(text)) frequencies.set(term, (frequencies.get(term) || 0) + 1);
+  return frequencies;
+}
+
+class PropertyIndex {
+  /**
+   * @param {Array} properties - [{ name, address, aliases, code }] as loaded from the Properties sheet
+   */
+  constructor(properties = []) {
+    this.documents = properties
+      .filter(p => p.name)
+      .map(property => {
+        const text = [property.name, ...(property.aliases || []), property.code, property.address].filter(Boolean).join(' ');
+        const frequencies = termFrequencies(text);
+        const length = Array.from(frequencies.values()).reduce((sum, n) => sum + n, 0);
+        return { property, frequencies, length };
+      });
+
+    this.averageLength = this.documents.reduce((sum, d) => sum + d.length, 0) / (this.documents.length || 1);
+    this.documentFrequency = new Map();
+    for (const { frequencies } of this.documents) {
+      for (const term of frequencies.keys()) this.documentFrequency.set(term, (this.documentFrequency.get(term) || 0) + 1);
+    }
+  }
+
+  idf(term) {
+    const df = this.documentFrequency.get(term) || 0;
+    return Math.log(1 + (this.documents.length - df + 0.5) / (df + 0.5));
+  }
+
+  /**
+   * Properties ranked by BM25 score for a filename or path
+   * @returns {Array} - [{ property, score }], best first, only properties sharing a term with the query
+   */
+  search(text, { limit = 10 } = {}) {
+    const query = Array.from(new Set(terms(text)));
+    return this.documents
+      .map(({ property, frequencies, length }) => {
+        let score = 0;
+        for (const term of query) {
+          const tf = frequencies.get(term);
+          if (!tf) continue;
+          const weight = term.startsWith('#') ? TRIGRAM_WEIGHT : 1;
+          score += weight * this.idf(term) * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * length / this.averageLength));
+        }
+        return { property, score };
+      })
+      .filter(r => r.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = {
+  PropertyIndex
+};
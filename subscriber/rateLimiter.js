@@ -0,0 +1,233 @@
+// rateLimiter.js (CommonJS)
+//
+// Requests-per-minute and tokens-per-minute budgets per LLM provider and model.
+// Each provider/model pair gets two token buckets that refill continuously; a
+// request waits until both have room. A 429 pauses the pair (for Retry-After
+// when given) and halves its refill rate, which then recovers a little with
+// every successful request.
+//
+// Configure with LLM_RATE_LIMITS="provider/model=rpm:tpm,provider=rpm:tpm,..."
+// (e.g. "gemini/gemini-2.5-flash=10:250000,openai=500:200000"); a bare
+// provider entry sets the limits of that provider's unlisted models, which
+// otherwise use PROVIDER_DEFAULT_LIMITS. Providers without limits (the mock
+// provider by default) are not throttled. GEMINI_RATE_LIMITS="model=rpm:tpm"
+// and GEMINI_DEFAULT_RPM / GEMINI_DEFAULT_TPM are still read for Gemini.
+
+const RATE_LIMIT_PAUSE_MS = parseInt(process.env.LLM_RATE_LIMIT_PAUSE_MS || process.env.GEMINI_RATE_LIMIT_PAUSE_MS) || 30000; // when no Retry-After
+const MIN_RATE_FACTOR = 0.1;
+const RATE_RECOVERY_STEP = 0.05;
+
+// Per provider: default limits and the rough cost of one inline image/PDF part
+// (corrected from the reported usage afterwards)
+const PROVIDER_DEFAULT_LIMITS = {
+  gemini: {
+    rpm: parseInt(process.env.GEMINI_DEFAULT_RPM) || 10,
+    tpm: parseInt(process.env.GEMINI_DEFAULT_TPM) || 250000,
+    inlineDataTokens: 1000
+  },
+  openai: { rpm: 60, tpm: 150000, inlineDataTokens: 1500 },
+  mock: null
+};
+const DEFAULT_INLINE_DATA_TOKENS = 1000;
+
+// "key=rpm:tpm" entries; keyFor maps the key to provider/model or provider
+function parseRateLimits(value, { envName = 'LLM_RATE_LIMITS', keyFor = key => key } = {}) {
+  const limits = {};
+  for (const entry of String(value || '').split(',').map(e => e.trim()).filter(Boolean)) {
+    const match = entry.match(/^([^=]+)=(\d+):(\d+)$/);
+    if (!match) {
+      console.warn(`⚠️  Ignoring malformed ${envName} entry: ${entry}`);
+      continue;
+    }
+    limits[keyFor(match[1].trim())] = { rpm: parseInt(match[2]), tpm: parseInt(match[3]) };
+  }
+  return limits;
+}
+
+function getRateLimitsFromEnv(env = process.env) {
+  return {
+    ...parseRateLimits(env.GEMINI_RATE_LIMITS, { envName: 'GEMINI_RATE_LIMITS', keyFor: model => `gemini/${model}` }),
+    ...parseRateLimits(env.LLM_RATE_LIMITS)
+  };
+}
+
+class TokenBucket {
+  constructor(perMinute) {
+    this.capacity = perMinute;
+    this.ratePerMs = perMinute / 60000;
+    this.tokens = perMinute;
+    this.updatedAt = Date.now();
+  }
+
+  refill(rateFactor) {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.ratePerMs * rateFactor);
+    this.updatedAt = now;
+  }
+
+  // Milliseconds until `amount` is available (0 if it is now)
+  waitTime(amount, rateFactor) {
+    this.refill(rateFactor);
+    const missing = Math.min(amount, this.capacity) - this.tokens;
+    return missing <= 0 ? 0 : Math.ceil(missing / (this.ratePerMs * rateFactor));
+  }
+
+  // May go negative when a request used more than was reserved
+  take(amount) {
+    this.tokens -= amount;
+  }
+
+  drain() {
+    this.tokens = Math.min(this.tokens, 0);
+    this.updatedAt = Date.now();
+  }
+}
+
+class ModelRateLimiter {
+  constructor(key, { rpm, tpm }) {
+    this.key = key;
+    this.rpm = rpm;
+    this.tpm = tpm;
+    this.requests = new TokenBucket(rpm);
+    this.tokens = new TokenBucket(tpm);
+    this.rateFactor = 1;
+    this.pausedUntil = 0;
+    // Acquisitions are served in order so large requests are not starved
+    this.queue = Promise.resolve();
+    this.stats = { requests: 0, throttledMs: 0, rateLimited: 0, tokensUsed: 0 };
+  }
+
+  acquire(estimatedTokens) {
+    const reserved = Math.min(Math.max(Math.round(estimatedTokens), 1), this.tpm);
+    const ticket = this.queue.then(() => this.waitForBudget(reserved));
+    this.queue = ticket.catch(() => {});
+    return ticket;
+  }
+
+  async waitForBudget(reserved) {
+    const startedAt = Date.now();
+    for (;;) {
+      const wait = Math.max(
+        this.pausedUntil - Date.now(),
+        this.requests.waitTime(1, this.rateFactor),
+        this.tokens.waitTime(reserved, this.rateFactor)
+      );
+      if (wait <= 0) break;
+      await new Promise(resolve => setTimeout(resolve, Math.min(wait, 5000)));
+    }
+
+    this.requests.take(1);
+    this.tokens.take(reserved);
+    this.stats.requests++;
+    this.stats.throttledMs += Date.now() - startedAt;
+
+    let settled = false;
+    return {
+      // Correct the token bucket with what the request actually used
+      complete: (usage) => {
+        if (settled) return;
+        settled = true;
+        const used = usage?.totalTokenCount;
+        if (Number.isFinite(used)) {
+          this.tokens.take(used - reserved);
+          this.stats.tokensUsed += used;
+        } else {
+          this.stats.tokensUsed += reserved;
+        }
+        this.rateFactor = Math.min(1, this.rateFactor + RATE_RECOVERY_STEP);
+      },
+      // Call with the request's error; 429s slow the model down
+      fail: (error) => {
+        if (settled) return;
+        settled = true;
+        if (error?.kind === 'rate_limited') this.onRateLimited(error.retryAfterMs);
+      }
+    };
+  }
+
+  onRateLimited(retryAfterMs) {
+    this.stats.rateLimited++;
+    this.rateFactor = Math.max(MIN_RATE_FACTOR, this.rateFactor / 2);
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + (retryAfterMs || RATE_LIMIT_PAUSE_MS));
+    this.requests.drain();
+    this.tokens.drain();
+    console.warn(`⚠️  LLM ${this.key} rate limited; pausing until ${new Date(this.pausedUntil).toISOString()} at ${Math.round(this.rateFactor * 100)}% rate`);
+  }
+
+  getStatus() {
+    this.requests.refill(this.rateFactor);
+    this.tokens.refill(this.rateFactor);
+    return {
+      rpm: this.rpm,
+      tpm: this.tpm,
+      rateFactor: Number(this.rateFactor.toFixed(2)),
+      availableRequests: Math.max(Math.floor(this.requests.tokens), 0),
+      availableTokens: Math.max(Math.floor(this.tokens.tokens), 0),
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null,
+      ...this.stats
+    };
+  }
+}
+
+// Ticket for requests that are not throttled
+const UNLIMITED = { complete: () => {}, fail: () => {} };
+
+class LlmRateLimiter {
+  constructor(limits = getRateLimitsFromEnv(), providerDefaults = PROVIDER_DEFAULT_LIMITS) {
+    this.limits = limits;
+    this.providerDefaults = providerDefaults;
+    this.models = new Map();
+  }
+
+  // Limits for a provider/model: its own entry, then the provider entry, then the provider default
+  limitsFor(provider, model) {
+    return this.limits[`${provider}/${model}`] || this.limits[provider] || this.providerDefaults[provider] || null;
+  }
+
+  forModel(provider, model) {
+    const key = `${provider}/${model}`;
+    if (!this.models.has(key)) {
+      const limits = this.limitsFor(provider, model);
+      this.models.set(key, limits ? new ModelRateLimiter(key, limits) : null);
+    }
+    return this.models.get(key);
+  }
+
+  /**
+   * Wait for RPM/TPM budget for one request
+   * @param {string} provider - LLM provider name (gemini, openai, mock)
+   * @param {string} model - Model name
+   * @param {object} request - LLM provider request (see llmProviders.js), used to estimate tokens
+   * @returns {Promise<{complete: Function, fail: Function}>} - Settle with the usage or the error
+   */
+  async acquire(provider, model, request) {
+    const limiter = this.forModel(provider, model);
+    if (!limiter) return UNLIMITED;
+    const inlineDataTokens = this.providerDefaults[provider]?.inlineDataTokens || DEFAULT_INLINE_DATA_TOKENS;
+    return limiter.acquire(estimateTokens(request, { inlineDataTokens }));
+  }
+
+  getStatus() {
+    return Object.fromEntries(Array.from(this.models)
+      .filter(([, limiter]) => limiter)
+      .map(([key, limiter]) => [key, limiter.getStatus()]));
+  }
+}
+
+// About 4 characters per token for text, a flat per-provider estimate per inline file
+function estimateTokens(request, { inlineDataTokens = DEFAULT_INLINE_DATA_TOKENS } = {}) {
+  let tokens = Math.ceil(String(request?.prompt || '').length / 4);
+  if (request?.file) tokens += inlineDataTokens;
+  return tokens + (request?.generationConfig?.maxOutputTokens || 100);
+}
+
+// Shared by every LLM call in this process
+const llmRateLimiter = new LlmRateLimiter();
+
+module.exports = {
+  LlmRateLimiter,
+  llmRateLimiter,
+  PROVIDER_DEFAULT_LIMITS,
+  estimateTokens,
+  parseRateLimits
+};
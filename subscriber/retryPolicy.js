@@ -0,0 +1,43 @@
+// retryPolicy.js (CommonJS)
+//
+// Per error kind: how many attempts a file gets and how long to wait between
+// them. Files that run out of attempts are dead-lettered (status 'failed').
+
+const RETRY_POLICIES = {
+  transient: {
+    maxAttempts: parseInt(process.env.RETRY_TRANSIENT_MAX_ATTEMPTS) || 5,
+    baseDelayMs: parseInt(process.env.RETRY_TRANSIENT_BASE_DELAY_MS) || 30 * 1000,
+    maxDelayMs: parseInt(process.env.RETRY_TRANSIENT_MAX_DELAY_MS) || 15 * 60 * 1000
+  },
+  rate_limited: {
+    maxAttempts: parseInt(process.env.RETRY_RATE_LIMITED_MAX_ATTEMPTS) || 8,
+    baseDelayMs: parseInt(process.env.RETRY_RATE_LIMITED_BASE_DELAY_MS) || 60 * 1000,
+    maxDelayMs: parseInt(process.env.RETRY_RATE_LIMITED_MAX_DELAY_MS) || 60 * 60 * 1000
+  },
+  permanent: { maxAttempts: 1, baseDelayMs: 0, maxDelayMs: 0 },
+  invalid_input: { maxAttempts: 1, baseDelayMs: 0, maxDelayMs: 0 }
+};
+
+/**
+ * Decide what to do after a failed attempt
+ * @param {ProcessingError} error - Classified error (see errors.js)
+ * @param {number} attempts - Attempts made so far, including the failed one
+ * @returns {{retry: boolean, delayMs: number}}
+ */
+function getRetryDecision(error, attempts, policies = RETRY_POLICIES) {
+  const policy = policies[error.kind] || policies.transient;
+  if (attempts >= policy.maxAttempts) return { retry: false, delayMs: 0 };
+
+  // Exponential backoff with +/-20% jitter so retried files do not line up
+  const exponential = policy.baseDelayMs * Math.pow(2, Math.max(attempts - 1, 0));
+  const jitter = 0.8 + Math.random() * 0.4;
+  let delayMs = Math.min(exponential * jitter, policy.maxDelayMs);
+  if (error.retryAfterMs) delayMs = Math.max(delayMs, error.retryAfterMs);
+
+  return { retry: true, delayMs: Math.round(delayMs) };
+}
+
+module.exports = {
+  RETRY_POLICIES,
+  getRetryDecision
+};
@@ -0,0 +1,46 @@
+// reviewPolicy.js (CommonJS)
+//
+// Decides when a classification is too uncertain to file automatically.
+// Each decision in processFile carries { value, confidence, method }; files
+// with any decision below its threshold are filed to the review folder and
+// get status 'review' instead of going into the organized tree. So are files
+// matched to a retired property, however confident the match: new drawings
+// rarely belong to one, and a reviewer confirms those that do.
+
+const REVIEW_ENABLED = process.env.REVIEW_ENABLED !== 'false';
+const REVIEW_RETIRED_PROPERTIES = process.env.REVIEW_RETIRED_PROPERTIES !== 'false';
+const REVIEW_FOLDER_NAME = process.env.REVIEW_FOLDER_NAME || 'Needs Review';
+
+const REVIEW_THRESHOLDS = {
+  property: parseFloat(process.env.REVIEW_PROPERTY_MIN_CONFIDENCE) || 0.7,
+  year: parseFloat(process.env.REVIEW_YEAR_MIN_CONFIDENCE) || 0.6
+};
+
+/**
+ * Why a file needs review
+ * @param {object} decisions - { property: { value, confidence, method }, year: {...} }
+ * @param {object} options - { propertyStatus }: Properties sheet status of the chosen property
+ * @returns {Array<string>} - Empty when every decision is confident enough
+ */
+function getReviewReasons(decisions, { propertyStatus = 'active', thresholds = REVIEW_THRESHOLDS, reviewRetired = REVIEW_RETIRED_PROPERTIES } = {}) {
+  const reasons = [];
+  if (reviewRetired && propertyStatus === 'retired') {
+    reasons.push(`property "${decisions.property.value}" is retired`);
+  }
+  for (const [name, decision] of Object.entries(decisions)) {
+    const threshold = thresholds[name];
+    if (threshold === undefined) continue;
+    if (decision.confidence < threshold) {
+      reasons.push(`${name} "${decision.value}" confidence ${decision.confidence} (${decision.method}) is below ${threshold}`);
+    }
+  }
+  return reasons;
+}
+
+module.exports = {
+  REVIEW_ENABLED,
+  REVIEW_FOLDER_NAME,
+  REVIEW_THRESHOLDS,
+  REVIEW_RETIRED_PROPERTIES,
+  getReviewReasons
+};
@@ -0,0 +1,233 @@
+// sheetExport.js (CommonJS)
+//
+// Keeps the ProcessedFiles sheet as an exported view of the state store.
+// New records are appended in batches, records that change after their first
+// export (retries, corrections) update their existing row.
+
+const { GoogleSpreadsheet } = require('google-spreadsheet');
+const { FINAL_STATUSES } = require('./stateStore');
+
+const SHEET_HEADERS = [
+  'File ID',
+  'File Name',
+  'Processed Date',
+  'Status',
+  'Property',
+  'Year',
+  'Destination File ID',
+  'Organize Mode',
+  'Destination Name',
+  'Attempts',
+  'Last Error',
+  'Error Kind',
+  'Project Name',
+  'Drawing Number',
+  'Sheet Title',
+  'Discipline',
+  'Issue Date',
+  'Extraction Source',
+  'Property Confidence',
+  'Year Confidence',
+  'Review Reasons'
+];
+
+// Only records that reached a final state are shown in the sheet
+const EXPORTED_STATUSES = Array.from(FINAL_STATUSES);
+
+function recordToRow(record) {
+  return {
+    'File ID': record.fileId,
+    'File Name': record.fileName,
+    'Processed Date': record.processedAt || record.updatedAt,
+    'Status': record.status,
+    'Property': record.property || '',
+    'Year': record.year || '',
+    'Destination File ID': record.destinationFileId || '',
+    'Organize Mode': record.organizeMode || '',
+    'Destination Name': record.destinationName || '',
+    'Attempts': record.attempts,
+    'Last Error': record.lastError || '',
+    'Error Kind': record.errorKind || '',
+    'Project Name': record.titleBlock?.projectName?.value || '',
+    'Drawing Number': record.titleBlock?.drawingNumber?.value || '',
+    'Sheet Title': record.titleBlock?.sheetTitle?.value || '',
+    'Discipline': record.titleBlock?.discipline?.value || '',
+    'Issue Date': record.titleBlock?.issueDate?.value || '',
+    'Extraction Source': record.extractionSource || '',
+    'Property Confidence': record.propertyConfidence ?? '',
+    'Year Confidence': record.yearConfidence ?? '',
+    'Review Reasons': (record.reviewReasons || []).join('; ')
+  };
+}
+
+function readRowValue(row, header) {
+  return typeof row.get === 'function' ? row.get(header) : row[header];
+}
+
+function isQuotaError(error) {
+  const message = String(error?.message ?? '').toLowerCase();
+  return error?.code === 429 || error?.response?.status === 429 || message.includes('quota') || message.includes('rate');
+}
+
+class ProcessedFilesSheetExporter {
+  /**
+   * @param {string} spreadsheetId - Google Sheet ID
+   * @param {string} sheetName - ProcessedFiles sheet title
+   * @param {Function} getAuthClient - Returns the OAuth2 client for google-spreadsheet
+   * @param {object} stateStore - State store (see stateStore.js)
+   * @param {number} batchSize - Records exported per run
+   */
+  constructor(spreadsheetId, sheetName, getAuthClient, stateStore, batchSize = 50) {
+    this.spreadsheetId = spreadsheetId;
+    this.sheetName = sheetName;
+    this.getAuthClient = getAuthClient;
+    this.stateStore = stateStore;
+    this.batchSize = batchSize;
+    this.sheet = null;
+    this.rowsByFileId = null;
+    this.backoffUntil = 0;
+    this.backoffMs = 0;
+    this.isExporting = false;
+  }
+
+  async loadSheet() {
+    if (this.sheet) return this.sheet;
+
+    const doc = new GoogleSpreadsheet(this.spreadsheetId);
+    const authClient = this.getAuthClient();
+    if (!authClient) throw new Error('Auth client not initialized for Google Sheets');
+    await doc.useOAuth2Client(authClient);
+    await doc.loadInfo();
+
+    const sheet = doc.sheetsByTitle[this.sheetName];
+    if (!sheet) throw new Error(`Sheet "${this.sheetName}" not found`);
+
+    // Extend the header row with any view columns the sheet does not have yet
+    let headers = [];
+    try {
+      await sheet.loadHeaderRow();
+      headers = sheet.headerValues || [];
+    } catch (error) {
+      // Empty sheet without a header row
+    }
+    const missing = SHEET_HEADERS.filter(h => !headers.includes(h));
+    if (missing.length > 0) {
+      const newHeaders = [...headers, ...missing];
+      if (sheet.columnCount < newHeaders.length) {
+        await sheet.resize({ rowCount: sheet.rowCount, columnCount: newHeaders.length });
+      }
+      await sheet.setHeaderRow(newHeaders);
+      console.log(`📊 Added columns to ${this.sheetName} sheet: ${missing.join(', ')}`);
+    }
+
+    const rows = await sheet.getRows();
+    this.rowsByFileId = new Map();
+    for (const row of rows) {
+      const fileId = readRowValue(row, 'File ID');
+      if (fileId) this.rowsByFileId.set(fileId, row);
+    }
+
+    this.sheet = sheet;
+    return sheet;
+  }
+
+  /**
+   * One-time migration: records for rows written before the state store
+   * existed. Rows already in the store are left alone.
+   * @returns {Promise<number>} - Number of imported rows
+   */
+  async importLegacyRows() {
+    await this.loadSheet();
+    let imported = 0;
+
+    for (const [fileId, row] of this.rowsByFileId) {
+      if (await this.stateStore.get(fileId)) continue;
+
+      let fileName = String(readRowValue(row, 'File Name') || '');
+      let status = 'done';
+      let lastError = null;
+      // Failures used to be recorded as "<name> (ERROR: <message>)"
+      const errorMatch = fileName.match(/^(.*) \(ERROR: ([\s\S]*)\)$/);
+      if (errorMatch) {
+        [, fileName, lastError] = errorMatch;
+        status = 'failed';
+      }
+
+      await this.stateStore.upsert(fileId, {
+        fileName,
+        status,
+        lastError,
+        processedAt: readRowValue(row, 'Processed Date') || null,
+        exported: true
+      });
+      imported++;
+    }
+
+    if (imported > 0) console.log(`📊 Imported ${imported} legacy rows from ${this.sheetName} into the state store`);
+    return imported;
+  }
+
+  // Export one batch of changed records. Safe to call on an interval.
+  async exportPending() {
+    if (this.isExporting || Date.now() < this.backoffUntil) return 0;
+    this.isExporting = true;
+
+    try {
+      const records = await this.stateStore.listUnexported({
+        limit: this.batchSize,
+        statuses: EXPORTED_STATUSES
+      });
+      if (records.length === 0) return 0;
+
+      const sheet = await this.loadSheet();
+      const newRecords = records.filter(r => !this.rowsByFileId.has(r.fileId));
+      const changedRecords = records.filter(r => this.rowsByFileId.has(r.fileId));
+
+      console.log(`📊 Exporting ${newRecords.length} new and ${changedRecords.length} updated rows to ${this.sheetName} sheet...`);
+
+      if (newRecords.length > 0) {
+        const addedRows = await sheet.addRows(newRecords.map(recordToRow));
+        addedRows.forEach((row, i) => this.rowsByFileId.set(newRecords[i].fileId, row));
+      }
+
+      for (const record of changedRecords) {
+        const row = this.rowsByFileId.get(record.fileId);
+        for (const [header, value] of Object.entries(recordToRow(record))) {
+          row[header] = value;
+        }
+        await row.save();
+      }
+
+      await this.stateStore.markExported(records);
+      this.backoffMs = 0;
+      console.log(`✅ Exported ${records.length} rows to sheet`);
+      return records.length;
+    } catch (error) {
+      if (isQuotaError(error)) {
+        // Exponential backoff, max 5 minutes; unexported records are picked up again later
+        this.backoffMs = Math.min(this.backoffMs ? this.backoffMs * 2 : 30000, 300000);
+        this.backoffUntil = Date.now() + this.backoffMs;
+        console.warn(`⚠️  Quota/rate limit error exporting to sheet. Waiting ${this.backoffMs / 1000}s before retry...`);
+      } else {
+        console.error('❌ Error exporting to ProcessedFiles sheet:', error?.message ?? error);
+        // Reload the sheet on the next run in case it was edited
+        this.sheet = null;
+      }
+      return 0;
+    } finally {
+      this.isExporting = false;
+    }
+  }
+
+  // Export everything that is pending, e.g. before shutdown
+  async exportAll() {
+    while (await this.exportPending() > 0) {
+      // keep going until a run exports nothing
+    }
+  }
+}
+
+module.exports = {
+  ProcessedFilesSheetExporter,
+  SHEET_HEADERS
+};
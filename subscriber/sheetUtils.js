@@ -1,6 +1,12 @@
 // sheetUtils.js (CommonJS)
 
 const { GoogleSpreadsheet } = require('google-spreadsheet');
+const { DESTINATION_FOLDER_NAME, parseFolderLayout } = require('./folderLayout');
+
+// Quote a value for a Drive files.list query
+function escapeQueryValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'");
+}
 
 /**
  * Get or create the main destination folder in Drive
@@ -8,10 +14,10 @@ const { GoogleSpreadsheet } = require('google-spreadsheet');
  * @param {string} folderName - Name of the folder
  * @returns {Promise<string>} - Folder ID
  */
-async function getOrCreateDestinationFolder(drive, folderName = 'Ordered Property Drawings') {
+async function getOrCreateDestinationFolder(drive, folderName = DESTINATION_FOLDER_NAME) {
   // Check if folder exists
   const res = await drive.files.list({
-    q: `name='${folderName}' and mimeType='application/vnd.google-apps.folder' and trashed=false`,
+    q: `name='${escapeQueryValue(folderName)}' and mimeType='application/vnd.google-apps.folder' and trashed=false`,
     fields: 'files(id, name)',
     supportsAllDrives: true,
     includeItemsFromAllDrives: true
@@ -36,8 +42,6 @@ async function getOrCreateDestinationFolder(drive, folderName = 'Ordered Propert
   return folder.data.id;
 }
 
-const propertyMap = new Map();
-
 /**
  * Helper to safely read a header value from a row returned by google-spreadsheet
  * Supports both row.get('Header') and plain property access (row['Header'] or row.Header)
@@ -54,12 +58,108 @@ function readRowField(row, headerName) {
   return row[headerName] ?? row[headerName.toLowerCase()] ?? row[headerName.replace(/\s+/g, '')] ?? row[headerName.replace(/\s+/g, '').toLowerCase()];
 }
 
+const PROPERTY_STATUSES = ['active', 'retired'];
+const PROPERTY_CODE_PATTERN = /^[A-Z0-9][A-Z0-9_-]{0,19}$/;
+const DRIVE_ID_PATTERN = /^[A-Za-z0-9_-]{25,}$/;
+
+function normalizeKey(value) {
+  return String(value || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+// "Destination Folder" holds a Drive folder URL or ID, or a folder name under the main folder
+function parseDestinationFolder(value) {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  const urlMatch = text.match(/\/folders\/([A-Za-z0-9_-]+)/);
+  if (urlMatch) return { id: urlMatch[1] };
+  if (DRIVE_ID_PATTERN.test(text)) return { id: text };
+  return { name: text };
+}
+
+/**
+ * Validate Properties sheet rows
+ * Columns: Name, Address, Aliases (comma-separated), Property Code,
+ * Status (active/retired, default active), Destination Folder,
+ * Folder Layout (replaces FOLDER_LAYOUT for the property)
+ * Rows with a duplicate name are skipped; aliases and codes already used by
+ * an earlier row are dropped. Every problem is reported in warnings.
+ * @param {Array} rows - Sheet rows
+ * @returns {{ properties: Array, warnings: Array<string> }}
+ */
+function parsePropertyRows(rows) {
+  const properties = [];
+  const warnings = [];
+  // Lowercased name/alias/code -> property name that claimed it
+  const claimed = new Map();
+
+  rows.forEach((row, index) => {
+    const rowNumber = row.rowNumber ?? row.rowIndex ?? index + 2;
+    const name = String(readRowField(row, 'Name') || '').replace(/\s+/g, ' ').trim();
+    if (!name) return;
+
+    if (claimed.has(normalizeKey(name))) {
+      warnings.push(`Row ${rowNumber}: "${name}" duplicates ${claimed.get(normalizeKey(name))}, skipping row`);
+      return;
+    }
+    claimed.set(normalizeKey(name), `"${name}"`);
+
+    const aliases = [];
+    for (const alias of String(readRowField(row, 'Aliases') || '').split(',').map(a => a.replace(/\s+/g, ' ').trim()).filter(Boolean)) {
+      const key = normalizeKey(alias);
+      if (claimed.has(key)) {
+        if (claimed.get(key) !== `"${name}"`) warnings.push(`Row ${rowNumber}: alias "${alias}" of "${name}" is already used by ${claimed.get(key)}, ignoring it`);
+        continue;
+      }
+      claimed.set(key, `"${name}"`);
+      aliases.push(alias);
+    }
+
+    let code = String(readRowField(row, 'Property Code') || '').trim().toUpperCase() || null;
+    if (code && !PROPERTY_CODE_PATTERN.test(code)) {
+      warnings.push(`Row ${rowNumber}: property code "${code}" of "${name}" is not valid (letters, digits, - and _, up to 20), ignoring it`);
+      code = null;
+    } else if (code && claimed.has(`code:${code}`)) {
+      warnings.push(`Row ${rowNumber}: property code "${code}" of "${name}" is already used by ${claimed.get(`code:${code}`)}, ignoring it`);
+      code = null;
+    }
+    if (code) claimed.set(`code:${code}`, `"${name}"`);
+
+    let status = normalizeKey(readRowField(row, 'Status')) || 'active';
+    if (!PROPERTY_STATUSES.includes(status)) {
+      warnings.push(`Row ${rowNumber}: status "${status}" of "${name}" is not one of ${PROPERTY_STATUSES.join('/')}, treating it as active`);
+      status = 'active';
+    }
+
+    let folderLayout = null;
+    const layout = String(readRowField(row, 'Folder Layout') || '').trim();
+    if (layout) {
+      try {
+        folderLayout = parseFolderLayout(layout);
+      } catch (error) {
+        warnings.push(`Row ${rowNumber}: folder layout of "${name}" is not valid (${error.message}), using the default`);
+      }
+    }
+
+    properties.push({
+      name,
+      address: String(readRowField(row, 'Address') || '').trim(),
+      aliases,
+      code,
+      status,
+      destinationFolder: parseDestinationFolder(readRowField(row, 'Destination Folder')),
+      folderLayout
+    });
+  });
+
+  return { properties, warnings };
+}
+
 /**
  * Fetch property data from Google Sheet
  * @param {string} spreadsheetId - Google Sheet ID
  * @param {string} sheetName - Sheet name
  * @param {object} creds - Service account credentials JSON (client_email, private_key)
- * @returns {Promise<Array>} - Array of properties [{name, address}]
+ * @returns {Promise<Array>} - Array of properties [{name, address, aliases, code, status, destinationFolder, folderLayout}]
  */
 async function getPropertyData(spreadsheetId, sheetName, creds) {
   if (!spreadsheetId) throw new Error('spreadsheetId is required');
@@ -86,14 +186,9 @@ async function getPropertyData(spreadsheetId, sheetName, creds) {
     const rows = await sheet.getRows();
     console.log(`✅ Loaded ${rows.length} properties from sheet`);
 
-    // Return array of { name, address } and filter out rows without names
-    const properties = rows
-      .map(row => {
-        const name = readRowField(row, 'Name');
-        const address = readRowField(row, 'Address');
-        return { name, address };
-      })
-      .filter(p => p.name);
+    // Rows without names are skipped
+    const { properties, warnings } = parsePropertyRows(rows);
+    warnings.forEach(warning => console.warn(`⚠️  Properties sheet: ${warning}`));
 
     return properties;
   } catch (error) {
@@ -104,6 +199,7 @@ async function getPropertyData(spreadsheetId, sheetName, creds) {
 
 module.exports = {
   getOrCreateDestinationFolder,
-  propertyMap,
-  getPropertyData
+  escapeQueryValue,
+  getPropertyData,
+  parsePropertyRows
 };
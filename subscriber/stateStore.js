@@ -0,0 +1,471 @@
+// stateStore.js (CommonJS)
+//
+// Per-file processing state. This is the source of truth for what has been
+// processed; the ProcessedFiles sheet is exported from it (see sheetExport.js).
+//
+// Store interface (all methods async):
+//   get(fileId) / findByName(fileName) -> record or null
+//   upsert(fileId, fields) -> record (marks the record for export)
+//   claim(fileId, fields) -> { claimed, record, reason } (atomically mark 'processing')
+//   claimIf(fileId, canClaim, fields) -> { claimed, record } (atomically update when canClaim(record))
+//   list({ status, limit, offset }) -> records, most recently updated first
+//   counts() -> { [status]: number }
+//   listUnexported({ limit, statuses }) / markExported(records)
+//   listDue({ now, limit }) -> pending records whose retry is due
+//   search({ query, status, property, year, discipline, limit, offset }) -> records
+//   addCorrection(correction) / listCorrections({ property, limit, offset }) -> reviewer corrections
+//   close()
+
+const path = require('path');
+
+const STATE_STORE = process.env.STATE_STORE || 'sqlite';
+const STATE_DB_PATH = process.env.STATE_DB_PATH || path.join(__dirname, 'state.db');
+
+const STATUSES = ['pending', 'processing', 'done', 'failed', 'review'];
+// Files in these states are not picked up again unless re-queued.
+// 'failed' is the dead-letter state: out of retry attempts or a permanent error.
+// 'review' files were copied to the review folder because a decision was uncertain.
+const FINAL_STATUSES = new Set(['done', 'failed', 'review']);
+// A 'processing' claim older than this is assumed to belong to a crashed instance
+const PROCESSING_CLAIM_TTL_MS = parseInt(process.env.PROCESSING_CLAIM_TTL_MS) || 30 * 60 * 1000;
+
+// Record fields and their SQLite columns. New fields are added here; missing
+// columns are added to existing databases on startup.
+const COLUMNS = [
+  { field: 'fileId', column: 'file_id', type: 'TEXT PRIMARY KEY' },
+  { field: 'fileName', column: 'file_name', type: 'TEXT COLLATE NOCASE' },
+  { field: 'relativePath', column: 'relative_path', type: 'TEXT' },
+  { field: 'mimeType', column: 'mime_type', type: 'TEXT' },
+  { field: 'status', column: 'status', type: "TEXT NOT NULL DEFAULT 'pending'" },
+  { field: 'property', column: 'property', type: 'TEXT' },
+  { field: 'year', column: 'year', type: 'TEXT' },
+  { field: 'propertyConfidence', column: 'property_confidence', type: 'REAL' },
+  { field: 'propertyMethod', column: 'property_method', type: 'TEXT' },
+  { field: 'yearConfidence', column: 'year_confidence', type: 'REAL' },
+  { field: 'yearMethod', column: 'year_method', type: 'TEXT' },
+  { field: 'reviewReasons', column: 'review_reasons', type: 'TEXT', json: true },
+  // Candidates considered and raw LLM answers, for reviewers
+  { field: 'classification', column: 'classification', type: 'TEXT', json: true },
+  { field: 'destinationFileId', column: 'destination_file_id', type: 'TEXT' },
+  // copy | move | shortcut: what destinationFileId is (see ORGANIZE_MODE)
+  { field: 'organizeMode', column: 'organize_mode', type: 'TEXT' },
+  // Name of the filed file (differs from fileName with FILE_NAME_TEMPLATE)
+  { field: 'destinationName', column: 'destination_name', type: 'TEXT' },
+  { field: 'titleBlock', column: 'title_block', type: 'TEXT', json: true },
+  { field: 'extractionSource', column: 'extraction_source', type: 'TEXT' },
+  { field: 'attempts', column: 'attempts', type: 'INTEGER NOT NULL DEFAULT 0' },
+  { field: 'lastError', column: 'last_error', type: 'TEXT' },
+  { field: 'errorKind', column: 'error_kind', type: 'TEXT' },
+  { field: 'nextAttemptAt', column: 'next_attempt_at', type: 'TEXT' },
+  { field: 'createdAt', column: 'created_at', type: 'TEXT' },
+  { field: 'updatedAt', column: 'updated_at', type: 'TEXT' },
+  { field: 'processedAt', column: 'processed_at', type: 'TEXT' },
+  { field: 'exported', column: 'exported', type: 'INTEGER NOT NULL DEFAULT 0' }
+];
+const COLUMN_BY_FIELD = new Map(COLUMNS.map(c => [c.field, c]));
+
+// Reviewer corrections, kept as history (a file can be corrected more than once)
+// so they can be turned into property aliases later
+const CORRECTION_FIELDS = ['fileId', 'fileName', 'relativePath', 'previousProperty', 'property', 'previousYear', 'year', 'reviewer'];
+
+// Title block fields matched by the free-text search
+const SEARCHABLE_TITLE_BLOCK_FIELDS = ['projectName', 'address', 'drawingNumber', 'sheetTitle', 'designer'];
+
+function validateFields(fields) {
+  for (const field of Object.keys(fields)) {
+    if (!COLUMN_BY_FIELD.has(field)) throw new Error(`Unknown state field: ${field}`);
+  }
+  if (fields.status !== undefined && !STATUSES.includes(fields.status)) {
+    throw new Error(`Unknown status: ${fields.status}`);
+  }
+}
+
+// Why a record cannot be claimed for processing now: its final status,
+// 'processing' (claimed by another delivery) or 'scheduled' (retry backoff); null if it can
+function claimBlocker(record, now) {
+  if (!record) return null;
+  if (FINAL_STATUSES.has(record.status)) return record.status;
+  const staleBefore = new Date(Date.parse(now) - PROCESSING_CLAIM_TTL_MS).toISOString();
+  if (record.status === 'processing' && record.updatedAt > staleBefore) return 'processing';
+  if (record.nextAttemptAt && record.nextAttemptAt > now) return 'scheduled';
+  return null;
+}
+
+function toColumnValue(column, value) {
+  if (value === undefined) return null;
+  if (column.json) return value === null ? null : JSON.stringify(value);
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  return value;
+}
+
+function fromRow(row) {
+  if (!row) return null;
+  const record = {};
+  for (const column of COLUMNS) {
+    let value = row[column.column];
+    if (column.json && value) value = JSON.parse(value);
+    if (column.field === 'exported') value = Boolean(value);
+    record[column.field] = value ?? null;
+  }
+  return record;
+}
+
+class SqliteStateStore {
+  constructor(dbPath = STATE_DB_PATH) {
+    // Loaded lazily so the memory store works without the native module
+    const Database = require('better-sqlite3');
+    this.type = 'sqlite';
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.migrate();
+    console.log(`✅ SQLite state store opened at ${dbPath}`);
+  }
+
+  migrate() {
+    const columnsSql = COLUMNS.map(c => `${c.column} ${c.type}`).join(', ');
+    this.db.exec(`CREATE TABLE IF NOT EXISTS files (${columnsSql})`);
+
+    const existing = new Set(this.db.prepare('PRAGMA table_info(files)').all().map(c => c.name));
+    for (const column of COLUMNS) {
+      if (!existing.has(column.column)) {
+        console.log(`🛠️  Adding state store column ${column.column}`);
+        this.db.exec(`ALTER TABLE files ADD COLUMN ${column.column} ${column.type}`);
+      }
+    }
+
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_files_name ON files(file_name)');
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_files_status ON files(status, updated_at)');
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_files_exported ON files(exported)');
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_files_next_attempt ON files(status, next_attempt_at)');
+
+    this.db.exec(`CREATE TABLE IF NOT EXISTS corrections (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      file_id TEXT NOT NULL, file_name TEXT, relative_path TEXT,
+      previous_property TEXT, property TEXT, previous_year TEXT, year TEXT,
+      reviewer TEXT, created_at TEXT NOT NULL
+    )`);
+    this.db.exec('CREATE INDEX IF NOT EXISTS idx_corrections_property ON corrections(property COLLATE NOCASE, created_at)');
+  }
+
+  async get(fileId) {
+    return fromRow(this.db.prepare('SELECT * FROM files WHERE file_id = ?').get(fileId));
+  }
+
+  async findByName(fileName) {
+    return fromRow(this.db.prepare('SELECT * FROM files WHERE file_name = ? LIMIT 1').get(fileName));
+  }
+
+  async upsert(fileId, fields) {
+    return this.upsertRow(fileId, fields);
+  }
+
+  upsertRow(fileId, fields) {
+    validateFields(fields);
+    const now = new Date().toISOString();
+    const values = { ...fields, fileId, updatedAt: now, exported: fields.exported ?? false };
+
+    const columns = Object.keys(values).map(field => COLUMN_BY_FIELD.get(field));
+    const params = {};
+    for (const column of columns) params[column.column] = toColumnValue(column, values[column.field]);
+    params.created_at = now;
+
+    const insertColumns = [...columns.map(c => c.column), 'created_at'];
+    const updates = columns
+      .filter(c => c.field !== 'fileId')
+      .map(c => `${c.column} = excluded.${c.column}`);
+
+    this.db.prepare(
+      `INSERT INTO files (${insertColumns.join(', ')})
+       VALUES (${insertColumns.map(c => `@${c}`).join(', ')})
+       ON CONFLICT(file_id) DO UPDATE SET ${updates.join(', ')}`
+    ).run(params);
+
+    return fromRow(this.db.prepare('SELECT * FROM files WHERE file_id = ?').get(fileId));
+  }
+
+  // IMMEDIATE takes the write lock up front, so instances sharing the database cannot both claim
+  async claim(fileId, fields = {}, { now = new Date().toISOString() } = {}) {
+    return this.db.transaction(() => {
+      const record = fromRow(this.db.prepare('SELECT * FROM files WHERE file_id = ?').get(fileId));
+      const reason = claimBlocker(record, now);
+      if (reason) return { claimed: false, record, reason };
+      const claimed = this.upsertRow(fileId, {
+        ...fields,
+        status: 'processing',
+        attempts: (record?.attempts || 0) + 1,
+        nextAttemptAt: null
+      });
+      return { claimed: true, record: claimed, reason: null };
+    }).immediate();
+  }
+
+  async claimIf(fileId, canClaim, fields) {
+    return this.db.transaction(() => {
+      const record = fromRow(this.db.prepare('SELECT * FROM files WHERE file_id = ?').get(fileId));
+      if (!canClaim(record)) return { claimed: false, record };
+      return { claimed: true, record: this.upsertRow(fileId, fields) };
+    }).immediate();
+  }
+
+  async list({ status = null, limit = 100, offset = 0 } = {}) {
+    const rows = status
+      ? this.db.prepare('SELECT * FROM files WHERE status = ? ORDER BY updated_at DESC LIMIT ? OFFSET ?').all(status, limit, offset)
+      : this.db.prepare('SELECT * FROM files ORDER BY updated_at DESC LIMIT ? OFFSET ?').all(limit, offset);
+    return rows.map(fromRow);
+  }
+
+  async counts() {
+    const counts = Object.fromEntries(STATUSES.map(s => [s, 0]));
+    for (const row of this.db.prepare('SELECT status, COUNT(*) AS n FROM files GROUP BY status').all()) {
+      counts[row.status] = row.n;
+    }
+    return counts;
+  }
+
+  async listUnexported({ limit = 100, statuses = STATUSES } = {}) {
+    const placeholders = statuses.map(() => '?').join(', ');
+    return this.db.prepare(
+      `SELECT * FROM files WHERE exported = 0 AND status IN (${placeholders}) ORDER BY updated_at LIMIT ?`
+    ).all(...statuses, limit).map(fromRow);
+  }
+
+  async search({ query = null, status = null, property = null, year = null, discipline = null, limit = 100, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (property) {
+      conditions.push('property = ? COLLATE NOCASE');
+      params.push(property);
+    }
+    if (year) {
+      conditions.push('year = ?');
+      params.push(String(year));
+    }
+    if (discipline) {
+      conditions.push("json_extract(title_block, '$.discipline.value') = ? COLLATE NOCASE");
+      params.push(discipline);
+    }
+    if (query) {
+      const columns = ['file_name', 'relative_path', 'property',
+        ...SEARCHABLE_TITLE_BLOCK_FIELDS.map(f => `json_extract(title_block, '$.${f}.value')`)];
+      conditions.push(`(${columns.map(c => `${c} LIKE ?`).join(' OR ')})`);
+      params.push(...columns.map(() => `%${query}%`));
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    return this.db.prepare(`SELECT * FROM files ${where} ORDER BY updated_at DESC LIMIT ? OFFSET ?`)
+      .all(...params, limit, offset)
+      .map(fromRow);
+  }
+
+  async listDue({ now = new Date().toISOString(), limit = 100 } = {}) {
+    return this.db.prepare(
+      `SELECT * FROM files WHERE status = 'pending' AND next_attempt_at IS NOT NULL AND next_attempt_at <= ?
+       ORDER BY next_attempt_at LIMIT ?`
+    ).all(now, limit).map(fromRow);
+  }
+
+  async addCorrection(correction) {
+    const createdAt = new Date().toISOString();
+    const params = Object.fromEntries(CORRECTION_FIELDS.map(f => [f, correction[f] ?? null]));
+    const { lastInsertRowid } = this.db.prepare(
+      `INSERT INTO corrections (file_id, file_name, relative_path, previous_property, property, previous_year, year, reviewer, created_at)
+       VALUES (@fileId, @fileName, @relativePath, @previousProperty, @property, @previousYear, @year, @reviewer, @createdAt)`
+    ).run({ ...params, createdAt });
+    return { id: Number(lastInsertRowid), ...params, createdAt };
+  }
+
+  async listCorrections({ property = null, limit = 100, offset = 0 } = {}) {
+    const rows = property
+      ? this.db.prepare('SELECT * FROM corrections WHERE property = ? COLLATE NOCASE ORDER BY created_at DESC LIMIT ? OFFSET ?').all(property, limit, offset)
+      : this.db.prepare('SELECT * FROM corrections ORDER BY created_at DESC LIMIT ? OFFSET ?').all(limit, offset);
+    return rows.map(row => ({
+      id: row.id,
+      fileId: row.file_id,
+      fileName: row.file_name,
+      relativePath: row.relative_path,
+      previousProperty: row.previous_property,
+      property: row.property,
+      previousYear: row.previous_year,
+      year: row.year,
+      reviewer: row.reviewer,
+      createdAt: row.created_at
+    }));
+  }
+
+  // Only clear the flag if the record has not changed since it was read
+  async markExported(records) {
+    const stmt = this.db.prepare('UPDATE files SET exported = 1 WHERE file_id = ? AND updated_at = ?');
+    const markAll = this.db.transaction(items => {
+      for (const record of items) stmt.run(record.fileId, record.updatedAt);
+    });
+    markAll(records);
+  }
+
+  async close() {
+    this.db.close();
+  }
+}
+
+class MemoryStateStore {
+  constructor() {
+    this.type = 'memory';
+    this.records = new Map();
+    this.corrections = [];
+  }
+
+  async get(fileId) {
+    const record = this.records.get(fileId);
+    return record ? { ...record } : null;
+  }
+
+  async findByName(fileName) {
+    const lower = String(fileName).toLowerCase();
+    for (const record of this.records.values()) {
+      if (record.fileName && record.fileName.toLowerCase() === lower) return { ...record };
+    }
+    return null;
+  }
+
+  async upsert(fileId, fields) {
+    return this.upsertSync(fileId, fields);
+  }
+
+  upsertSync(fileId, fields) {
+    validateFields(fields);
+    const now = new Date().toISOString();
+    const existing = this.records.get(fileId);
+    const base = existing || Object.fromEntries(COLUMNS.map(c => [c.field, null]));
+    const record = {
+      ...base,
+      status: base.status || 'pending',
+      attempts: base.attempts || 0,
+      createdAt: base.createdAt || now,
+      ...fields,
+      fileId,
+      updatedAt: now,
+      exported: fields.exported ?? false
+    };
+    this.records.set(fileId, record);
+    return { ...record };
+  }
+
+  async claim(fileId, fields = {}, { now = new Date().toISOString() } = {}) {
+    const stored = this.records.get(fileId);
+    const record = stored ? { ...stored } : null;
+    const reason = claimBlocker(record, now);
+    if (reason) return { claimed: false, record, reason };
+    // Nothing awaits between the check and the update, so this is atomic in-process
+    const claimed = this.upsertSync(fileId, {
+      ...fields,
+      status: 'processing',
+      attempts: (record?.attempts || 0) + 1,
+      nextAttemptAt: null
+    });
+    return { claimed: true, record: claimed, reason: null };
+  }
+
+  async claimIf(fileId, canClaim, fields) {
+    const stored = this.records.get(fileId);
+    const record = stored ? { ...stored } : null;
+    if (!canClaim(record)) return { claimed: false, record };
+    return { claimed: true, record: this.upsertSync(fileId, fields) };
+  }
+
+  async list({ status = null, limit = 100, offset = 0 } = {}) {
+    return Array.from(this.records.values())
+      .filter(r => !status || r.status === status)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .slice(offset, offset + limit)
+      .map(r => ({ ...r }));
+  }
+
+  async counts() {
+    const counts = Object.fromEntries(STATUSES.map(s => [s, 0]));
+    for (const record of this.records.values()) counts[record.status]++;
+    return counts;
+  }
+
+  async listUnexported({ limit = 100, statuses = STATUSES } = {}) {
+    return Array.from(this.records.values())
+      .filter(r => !r.exported && statuses.includes(r.status))
+      .slice(0, limit)
+      .map(r => ({ ...r }));
+  }
+
+  async search({ query = null, status = null, property = null, year = null, discipline = null, limit = 100, offset = 0 } = {}) {
+    const lower = (value) => String(value ?? '').toLowerCase();
+    const needle = lower(query);
+    return Array.from(this.records.values())
+      .filter(r => !status || r.status === status)
+      .filter(r => !property || lower(r.property) === lower(property))
+      .filter(r => !year || r.year === String(year))
+      .filter(r => !discipline || lower(r.titleBlock?.discipline?.value) === lower(discipline))
+      .filter(r => !query || [
+        r.fileName, r.relativePath, r.property,
+        ...SEARCHABLE_TITLE_BLOCK_FIELDS.map(f => r.titleBlock?.[f]?.value)
+      ].some(value => value && lower(value).includes(needle)))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .slice(offset, offset + limit)
+      .map(r => ({ ...r }));
+  }
+
+  async listDue({ now = new Date().toISOString(), limit = 100 } = {}) {
+    return Array.from(this.records.values())
+      .filter(r => r.status === 'pending' && r.nextAttemptAt && r.nextAttemptAt <= now)
+      .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))
+      .slice(0, limit)
+      .map(r => ({ ...r }));
+  }
+
+  async addCorrection(correction) {
+    const record = {
+      id: this.corrections.length + 1,
+      ...Object.fromEntries(CORRECTION_FIELDS.map(f => [f, correction[f] ?? null])),
+      createdAt: new Date().toISOString()
+    };
+    this.corrections.push(record);
+    return { ...record };
+  }
+
+  async listCorrections({ property = null, limit = 100, offset = 0 } = {}) {
+    return this.corrections
+      .filter(c => !property || String(c.property).toLowerCase() === String(property).toLowerCase())
+      .slice()
+      .reverse()
+      .slice(offset, offset + limit)
+      .map(c => ({ ...c }));
+  }
+
+  async markExported(records) {
+    for (const { fileId, updatedAt } of records) {
+      const record = this.records.get(fileId);
+      if (record && record.updatedAt === updatedAt) record.exported = true;
+    }
+  }
+
+  async close() {}
+}
+
+function createStateStore(type = STATE_STORE) {
+  switch (type) {
+    case 'sqlite':
+      return new SqliteStateStore();
+    case 'memory':
+      return new MemoryStateStore();
+    default:
+      throw new Error(`Unknown STATE_STORE: ${type}`);
+  }
+}
+
+module.exports = {
+  STATUSES,
+  FINAL_STATUSES,
+  PROCESSING_CLAIM_TTL_MS,
+  SqliteStateStore,
+  MemoryStateStore,
+  createStateStore
+};
@@ -0,0 +1,262 @@
+// titleBlock.js (CommonJS)
+//
+// Structured title-block extraction: the schema the LLM must answer with,
+// the prompt, and validation/normalization of its answer. Every field is
+// { value, confidence } with confidence in [0, 1].
+
+const TITLE_BLOCK_FIELDS = {
+  projectName: 'Project name',
+  address: 'Project or site address',
+  drawingNumber: 'Drawing / sheet number, e.g. A-101 or L1.0',
+  sheetTitle: 'Sheet title, e.g. SITE PLAN',
+  discipline: 'Discipline, e.g. Architectural, Civil, Landscape, Structural',
+  designer: 'Designer or design firm',
+  scale: 'Drawing scale, e.g. 1" = 20\', 1:100 or NTS',
+  issueDate: 'Issue date of the drawing set'
+};
+
+const DISCIPLINES = [
+  'Architectural', 'Civil', 'Landscape', 'Structural', 'Mechanical', 'Electrical',
+  'Plumbing', 'Fire Protection', 'Survey', 'Interior', 'Irrigation', 'Other'
+];
+
+const MAX_FIELD_LENGTH = 300;
+const MAX_REVISIONS = 50;
+const MIN_YEAR = 1950;
+
+const fieldSchema = (description) => ({
+  type: 'object',
+  description,
+  properties: {
+    value: { type: 'string', nullable: true },
+    confidence: { type: 'number' }
+  },
+  required: ['value', 'confidence']
+});
+
+// OpenAPI-style subset understood by Gemini's responseSchema (providers convert it)
+const TITLE_BLOCK_SCHEMA = {
+  type: 'object',
+  properties: {
+    ...Object.fromEntries(Object.entries(TITLE_BLOCK_FIELDS).map(([field, description]) => [field, fieldSchema(description)])),
+    revisions: {
+      type: 'array',
+      description: 'Revision list from the title block, oldest first',
+      items: {
+        type: 'object',
+        properties: {
+          revision: { type: 'string', nullable: true },
+          date: { type: 'string', nullable: true },
+          description: { type: 'string', nullable: true },
+          confidence: { type: 'number' }
+        },
+        required: ['revision', 'date', 'description', 'confidence']
+      }
+    }
+  },
+  required: [...Object.keys(TITLE_BLOCK_FIELDS), 'revisions']
+};
+
+const TITLE_BLOCK_PROMPT = `
+Look at the title block of this construction/landscape drawing and extract its fields.
+For each field return the text exactly as printed (value, or null if it is not on the drawing)
+and a confidence between 0 and 1 that the value is correct.
+Fields:
+${Object.entries(TITLE_BLOCK_FIELDS).map(([field, description]) => `- ${field}: ${description}`).join('\n')}
+- revisions: every row of the revision table (revision, date, description, confidence)
+Dates should be given as printed. Respond with JSON only.
+`;
+
+const EMPTY_VALUES = new Set(['', 'unknown', 'n/a', 'na', 'none', 'null', '-']);
+
+function cleanText(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).replace(/\s+/g, ' ').trim().slice(0, MAX_FIELD_LENGTH);
+  return EMPTY_VALUES.has(text.toLowerCase()) ? null : text;
+}
+
+function cleanConfidence(value) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return 0;
+  // Some models answer in percent
+  const fraction = number > 1 && number <= 100 ? number / 100 : number;
+  return Math.round(Math.min(Math.max(fraction, 0), 1) * 100) / 100;
+}
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+// A whole month name or abbreviation, so "Mayfair" is not May
+const MONTH_NAME_SOURCE = '\\b(?:jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?)\\b\\.?';
+const MONTH_NAME_PATTERN = new RegExp(MONTH_NAME_SOURCE, 'i');
+
+function isValidYear(year) {
+  return year >= MIN_YEAR && year <= new Date().getFullYear() + 1;
+}
+
+function expandYear(year) {
+  if (year >= 100) return year;
+  // Two-digit years on drawings: 00-(current+1) are 20xx, the rest 19xx
+  return year <= (new Date().getFullYear() % 100) + 1 ? 2000 + year : 1900 + year;
+}
+
+function formatDate(year, month = null, day = null) {
+  if (!isValidYear(year)) return null;
+  if (month !== null && (month < 1 || month > 12)) return null;
+  // Day 0 of the next month is the last day of this one
+  if (day !== null && (day < 1 || day > new Date(Date.UTC(year, month, 0)).getUTCDate())) return null;
+  const pad = (n) => String(n).padStart(2, '0');
+  if (month === null) return String(year);
+  if (day === null) return `${year}-${pad(month)}`;
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+/**
+ * Normalize a printed date to YYYY-MM-DD (or YYYY-MM / YYYY when that is all
+ * there is). Numeric dates are read month-first, as on US drawings.
+ * @returns {string|null} - null if the value is not a plausible date
+ */
+function normalizeDate(value) {
+  const text = cleanText(value);
+  if (!text) return null;
+  let m;
+
+  if ((m = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/))) return formatDate(+m[1], +m[2], +m[3]);
+  if ((m = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})$/))) return formatDate(expandYear(+m[3]), +m[1], +m[2]);
+  if ((m = text.match(/^(\d{1,2})[-/.](\d{4})$/))) return formatDate(+m[2], +m[1]);
+  if ((m = text.match(/^(\d{4})$/))) return formatDate(+m[1]);
+
+  // "March 3, 2019", "3 Mar 2019", "Mar 2019"
+  const monthMatch = text.match(MONTH_NAME_PATTERN);
+  const yearMatch = text.match(/\b(19|20)\d{2}\b/);
+  if (monthMatch && yearMatch) {
+    const month = MONTHS.indexOf(monthMatch[0].slice(0, 3).toLowerCase());
+    const dayMatch = text.replace(yearMatch[0], '').match(/\b(\d{1,2})\b/);
+    return formatDate(+yearMatch[0], month + 1, dayMatch ? +dayMatch[1] : null);
+  }
+  return null;
+}
+
+function normalizeDiscipline(value) {
+  const text = cleanText(value);
+  if (!text) return null;
+  const lower = text.toLowerCase();
+  const match = DISCIPLINES.find(d => lower.includes(d.toLowerCase()) || lower === d[0].toLowerCase());
+  if (match) return match;
+  if (/\bmep\b/.test(lower)) return 'Mechanical';
+  if (/\bfire\b/.test(lower)) return 'Fire Protection';
+  if (/survey|topo/.test(lower)) return 'Survey';
+  return 'Other';
+}
+
+function isPlausibleScale(text) {
+  return /\d/.test(text) || /^(nts|not to scale|as noted|as shown)$/i.test(text);
+}
+
+/**
+ * Validate and normalize a parsed title block.
+ * @param {object} raw - Parsed LLM answer
+ * @returns {object} - { <field>: { value, confidence }, revisions: [...], warnings: [...] }
+ */
+function validateTitleBlock(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error('Title block must be a JSON object');
+  }
+
+  const warnings = [];
+  const titleBlock = {};
+
+  for (const field of Object.keys(TITLE_BLOCK_FIELDS)) {
+    const entry = raw[field] && typeof raw[field] === 'object' ? raw[field] : { value: raw[field], confidence: 0.5 };
+    let value = cleanText(entry.value);
+    let confidence = value === null ? 0 : cleanConfidence(entry.confidence);
+
+    if (value !== null) {
+      switch (field) {
+        case 'issueDate': {
+          const date = normalizeDate(value);
+          if (!date) warnings.push(`issueDate "${value}" is not a valid date`);
+          value = date;
+          break;
+        }
+        case 'discipline':
+          value = normalizeDiscipline(value);
+          break;
+        case 'drawingNumber':
+          value = value.toUpperCase();
+          break;
+        case 'scale':
+          if (!isPlausibleScale(value)) {
+            warnings.push(`scale "${value}" does not look like a scale`);
+            confidence = Math.round(confidence * 50) / 100;
+          }
+          break;
+      }
+      if (value === null) confidence = 0;
+    }
+
+    titleBlock[field] = { value, confidence };
+  }
+
+  const revisions = Array.isArray(raw.revisions) ? raw.revisions.slice(0, MAX_REVISIONS) : [];
+  if (raw.revisions !== undefined && !Array.isArray(raw.revisions)) warnings.push('revisions is not a list');
+  titleBlock.revisions = revisions
+    .filter(r => r && typeof r === 'object')
+    .map(r => {
+      const printedDate = cleanText(r.date);
+      const date = normalizeDate(printedDate);
+      if (printedDate && !date) warnings.push(`revision date "${printedDate}" is not a valid date`);
+      return {
+        revision: cleanText(r.revision),
+        date,
+        description: cleanText(r.description),
+        confidence: cleanConfidence(r.confidence)
+      };
+    })
+    .filter(r => r.revision || r.date || r.description);
+
+  titleBlock.warnings = warnings;
+  return titleBlock;
+}
+
+// Parse the LLM text (tolerating ```json fences) and validate it
+function parseTitleBlock(text) {
+  const json = String(text).replace(/^\s*```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '');
+  let raw;
+  try {
+    raw = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Title block is not valid JSON: ${error.message}`);
+  }
+  return validateTitleBlock(raw);
+}
+
+/**
+ * Drawing year: issue date, else the most recent revision date
+ * @returns {string|null}
+ */
+function getTitleBlockYear(titleBlock) {
+  if (!titleBlock) return null;
+  const dates = [titleBlock.issueDate?.value, ...titleBlock.revisions.map(r => r.date).sort().reverse()];
+  const date = dates.find(Boolean);
+  return date ? date.slice(0, 4) : null;
+}
+
+// Confidence of the date getTitleBlockYear used (0 if there is none)
+function getTitleBlockYearConfidence(titleBlock) {
+  if (!titleBlock) return 0;
+  if (titleBlock.issueDate?.value) return titleBlock.issueDate.confidence;
+  const latest = titleBlock.revisions.filter(r => r.date).sort((a, b) => b.date.localeCompare(a.date))[0];
+  return latest ? latest.confidence : 0;
+}
+
+module.exports = {
+  TITLE_BLOCK_FIELDS,
+  TITLE_BLOCK_SCHEMA,
+  TITLE_BLOCK_PROMPT,
+  DISCIPLINES,
+  MONTH_NAME_SOURCE,
+  normalizeDate,
+  validateTitleBlock,
+  parseTitleBlock,
+  getTitleBlockYear,
+  getTitleBlockYearConfidence
+};